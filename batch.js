@@ -1,16 +1,57 @@
 import fs from 'fs/promises';
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai";
-import dotenv from 'dotenv';
 import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { extractJson } from './src/jsonExtract.js';
+import { PromptStore } from './src/prompts.js';
+import { loadModelConfig, providerRegistry } from './src/providers/index.js';
+import { Resilience } from './src/resilience.js';
+import { mapWithConcurrency } from './src/concurrency.js';
+import { readJson, writeJson, serialWriter } from './src/fileStore.js';
+import { reconcileEntries, dictionaryReport } from './src/dictionary.js';
+import { exportableEntries, exportDictionary } from './src/dictionaryExport.js';
 
 dotenv.config();
 
+const usage = `Usage: node batch.js [--input cached_words.txt] [--output all_dic.json] [--work-dir dic_temp]
+                     [--model GEMINI] [--chunk-size 50] [--concurrency 2] [--retries 2] [--retry-failed]
+                     [--report <work-dir>/report.json] [--export anki,stardict,sqlite] [--export-dir export]`;
+
+const WordStatus = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',       // every attempt of its chunk failed
+    MISSING: 'missing',     // the model kept leaving this word out
+    INVALID: 'invalid'      // the model's entries for this word kept failing validation
+};
+
+// Builds the dictionary in chunks of words. <work-dir>/manifest.json records every chunk
+// with its words, status, attempts and error; answers go to <work-dir>/chunks/<id>.json.
+// A word's status is the one of the last chunk that contained it, so a rerun picks up
+// exactly the pending words, and --retry-failed the failed, missing and invalid ones.
+// Words left out or answered with invalid entries are asked again right away, up to --retries times.
 class DictionaryProcessor {
-    constructor() {
-        const apiKey = process.env.API_KEY6;
-        if (!apiKey) throw new Error("Gemini API_KEY not found");
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+    constructor({ workDir, model, chunkSize, concurrency, retries }) {
+        const config = loadModelConfig();
+        this.workDir = workDir;
+        this.manifestFile = path.join(workDir, 'manifest.json');
+        this.chunkSize = chunkSize;
+        this.concurrency = concurrency;
+        this.retries = retries;
+        this.registry = providerRegistry(config);
+        const id = this.registry.resolve(model);
+        if (!id) {
+            // Configured but without credentials: say what is missing instead of "unknown"
+            const reason = this.registry.unavailable.get(String(model).toUpperCase());
+            throw new Error(reason
+                ? `Model ${model} is not available: ${reason}`
+                : `Unknown model ${model}. Use ${this.registry.ids().join(', ') || '(none available)'}`);
+        }
+        this.provider = this.registry.get(id);
+        this.prompts = new PromptStore({ templates: config.prompts }).load();
+        // Chunks are retried here, so the resilience layer only adds timeouts and the breaker
+        this.resilience = new Resilience({ ...config.resilience, defaults: { ...config.resilience?.defaults, retries: 0 } });
+        this.writeManifest = serialWriter(this.manifestFile);
     }
 
     async sleep(min, max) {
@@ -18,156 +59,203 @@ class DictionaryProcessor {
         return new Promise(resolve => setTimeout(resolve, ms * 1000));
     }
 
-    async queryGemini(words) {
-        const prompt = `For each word in the following list, provide Chinese translation, details and example sentences in JSON format:
-${words.join(', ')}
-
-Required format for each word:
-{
-    "word": "example",
-    "phonetic": "/ɪɡˈzæmpəl/",
-    "translation": "例子",
-    "description": "详细介绍(100字以内)",
-    "synonyms": ["similar1", "similar2"],
-    "antonyms": ["opposite1", "opposite2"],
-    "examples": [
-        {
-            "en": "This is a good example of modern architecture.",
-            "zh": "这是现代建筑的一个好例子。"
-        },
-        {
-            "en": "Let me give you an example.",
-            "zh": "让我给你举个例子。"
-        }
-    ]
-}
+    async loadManifest(input) {
+        const manifest = await readJson(this.manifestFile);
+        if (manifest) return manifest;
+        return { input, model: this.provider.id, chunkSize: this.chunkSize, nextChunk: 0, chunks: [], createdAt: new Date().toISOString() };
+    }
 
-Special handling:
-1. If word is in ALL CAPS: Try to find the common-case version
-2. If word appears misspelled: Suggest the closest correct word
-3. If word cannot be directly translated: Provide closest equivalent
-
-Example special cases:
-{
-    "word": "RUNTIME",
-    "suggested": "runtime",
-    "phonetic": "/ˈrʌnˌtaɪm/",
-    "translation": "运行时",
-    "description": "程序运行期间的时间段，也指程序在运行时的环境",
-    "synonyms": ["execution time", "running time"],
-    "antonyms": ["compile time", "design time"],
-    "examples": [
-        {
-            "en": "The program has a runtime error.",
-            "zh": "这个程序有一个运行时错误。"
-        },
-        {
-            "en": "The runtime environment must be configured correctly.",
-            "zh": "运行时环境必须正确配置。"
-        }
-    ]
-}
+    // Chunks finish concurrently, their manifest writes are serialized
+    saveManifest(manifest) {
+        manifest.updatedAt = new Date().toISOString();
+        return this.writeManifest(manifest);
+    }
 
-Return as a JSON array. For any field that cannot be determined, use null.`;
-
-        const chat = this.model.startChat({
-            generationConfig: {
-                maxOutputTokens: 8192,
-                temperature: 1,
-            },
-            safetySettings: [
-                { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-                { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-            ]
-        });
+    chunkFile(id) {
+        return path.join(this.workDir, 'chunks', `${id}.json`);
+    }
 
-        try {
-            let response = "";
-            const result = await chat.sendMessageStream(prompt);
-            for await (const chunk of result.stream) {
-                const chunkText = chunk.text();
-                process.stdout.write(chunkText);
-                totalResponse += chunkText;
+    // word -> { status, chunk } from the latest chunk per word
+    wordStatus(words, manifest) {
+        const status = new Map(words.map(word => [word, { status: WordStatus.PENDING, chunk: null }]));
+        for (const chunk of manifest.chunks) {
+            for (const word of chunk.words) {
+                if (!status.has(word)) continue;
+                if (chunk.status === WordStatus.SUCCEEDED) {
+                    if (chunk.missing.includes(word)) {
+                        status.set(word, { status: WordStatus.MISSING, chunk: null });
+                    } else if ((chunk.invalid || []).some(item => item.word === word)) {
+                        status.set(word, { status: WordStatus.INVALID, chunk: null });
+                    } else {
+                        status.set(word, { status: WordStatus.SUCCEEDED, chunk: chunk.id });
+                    }
+                } else if (chunk.status === WordStatus.FAILED) {
+                    status.set(word, { status: WordStatus.FAILED, chunk: null });
+                }
             }
-
-            const jsonMatch = response.match(/\[[\s\S]*\]/);
-            return jsonMatch ? JSON.parse(jsonMatch[0]) : [];
-        } catch (error) {
-            console.error("Error querying Gemini:", error);
-            return [];
         }
+        return status;
     }
 
-    async processWords() {
-        try {
-            // Ensure temp directory exists
-            const tempDir = './dic_temp';
-            await fs.mkdir(tempDir, { recursive: true });
-    
-            // Read words file
-            const content = await fs.readFile('./cached_words.txt', 'utf-8');
-            const words = content.split('\n').filter(word => word.trim());
-    
-            // Find last processed index
-            const tempFiles = await fs.readdir(tempDir);
-            const processedIndices = tempFiles
-                .map(f => parseInt(f.split('.')[0]))
-                .filter(n => !isNaN(n));
-            const startIndex = processedIndices.length ? Math.max(...processedIndices) + 100 : 0;
-    
-            const size=50;
-            // Process remaining chunks
-            for (let i = startIndex; i < words.length; i += size) {
-                const chunk = words.slice(i, i + size);
-                console.log(`Processing chunk ${i/size + 1}, words ${i}-${i + chunk.length}`);
-                
-                try {
-                    const results = await this.queryGemini(chunk);
-                    
-                    // Save chunk results to temp file
-                    const tempFile = path.join(tempDir, `${i}.json`);
-                    await fs.writeFile(
-                        tempFile,
-                        JSON.stringify(results, null, 2),
-                        'utf-8'
-                    );
-    
-                    // Random delay between requests
-                    await this.sleep(1, 3);
-                } catch (error) {
-                    console.error(`Error processing chunk ${i/size + 1}:`, error);
-                    continue; // Skip to next chunk on error
+    async queryModel(words) {
+        const prompt = this.prompts.render('dictionary', { variables: { words } });
+        const { response } = await this.resilience.call(this.provider.id, signal => this.provider.ask(prompt.text, { signal }));
+
+        const { value, repairs } = extractJson(response, { expect: 'array' });
+        if (repairs.length) console.warn(`Repaired model JSON: ${repairs.join(', ')}`);
+        return { entries: value, promptVersion: prompt.id };
+    }
+
+    // Asks for the chunk's words, then again for the words that came back missing or invalid
+    async processChunk(chunk, manifest) {
+        const accepted = [];
+        let remaining = chunk.words;
+        for (let attempt = 1; attempt <= this.retries + 1 && remaining.length; attempt++) {
+            chunk.attempts++;
+            try {
+                const { entries, promptVersion } = await this.queryModel(remaining);
+                const result = reconcileEntries(remaining, entries);
+                // Entries record the prompt that produced them
+                accepted.push(...result.accepted.map(entry => ({ ...entry, prompt_version: promptVersion })));
+                chunk.status = WordStatus.SUCCEEDED;
+                chunk.error = null;
+                chunk.missing = result.missing;
+                chunk.invalid = result.invalid;
+                chunk.extra.push(...result.extra);
+                chunk.duplicates.push(...result.duplicates);
+                chunk.suggestions.push(...result.suggestions);
+                remaining = [...result.missing, ...result.invalid.map(({ word }) => word)];
+                if (remaining.length && attempt <= this.retries) {
+                    console.warn(`Chunk ${chunk.id}: asking again for ${remaining.length} missing or invalid words`);
                 }
+            } catch (error) {
+                console.error(`Chunk ${chunk.id} attempt ${attempt} failed: ${error.message}`);
+                if (chunk.status !== WordStatus.SUCCEEDED) chunk.status = WordStatus.FAILED;
+                chunk.error = error.message;
+                if (attempt <= this.retries) await this.sleep(2 ** attempt, 2 ** attempt + 2);
             }
-    
-            // Combine all temp files into final result
-            const allResults = [];
-            const finalTempFiles = await fs.readdir(tempDir);
-            for (const file of finalTempFiles.sort((a, b) => 
-                parseInt(a.split('.')[0]) - parseInt(b.split('.')[0]))) {
-                const content = await fs.readFile(path.join(tempDir, file), 'utf-8');
-                allResults.push(...JSON.parse(content));
-            }
-    
-            // Save combined results
-            await fs.writeFile(
-                'all_dic.json',
-                JSON.stringify(allResults, null, 2),
-                'utf-8'
-            );
-    
-            console.log("Dictionary processing completed!");
-            console.log(`Total words processed: ${allResults.length}`);
-    
-        } catch (error) {
-            console.error("Error processing dictionary:", error);
-            throw error;
         }
+        if (chunk.status === WordStatus.SUCCEEDED) {
+            // Words still unanswered when retries ran out because of an error count as missing
+            const answered = new Set([...accepted.map(({ word }) => word), ...chunk.invalid.map(({ word }) => word)]);
+            chunk.missing = chunk.words.filter(word => !answered.has(word));
+            await writeJson(this.chunkFile(chunk.id), accepted);
+        }
+        chunk.finishedAt = new Date().toISOString();
+        await this.saveManifest(manifest);
+        console.log(`Chunk ${chunk.id}: ${chunk.status}, ${accepted.length}/${chunk.words.length} words`);
+        // Random delay between requests
+        await this.sleep(1, 3);
+    }
+
+    async processWords({ input, output, report = path.join(this.workDir, 'report.json'), retryFailed = false }) {
+        await fs.mkdir(this.workDir, { recursive: true });
+        const content = await fs.readFile(input, 'utf-8');
+        const words = [...new Set(content.split('\n').map(word => word.trim()).filter(Boolean))];
+
+        const manifest = await this.loadManifest(input);
+        const todo = [WordStatus.PENDING, ...(retryFailed ? [WordStatus.FAILED, WordStatus.MISSING, WordStatus.INVALID] : [])];
+        const queue = [...this.wordStatus(words, manifest)]
+            .filter(([, { status }]) => todo.includes(status))
+            .map(([word]) => word);
+
+        const chunks = [];
+        for (let i = 0; i < queue.length; i += this.chunkSize) {
+            chunks.push({
+                id: manifest.nextChunk++,
+                words: queue.slice(i, i + this.chunkSize),
+                status: WordStatus.PENDING,
+                attempts: 0,
+                missing: [],
+                invalid: [],
+                extra: [],
+                duplicates: [],
+                suggestions: [],
+                error: null,
+                finishedAt: null
+            });
+        }
+        manifest.chunks.push(...chunks);
+        await this.saveManifest(manifest);
+        console.log(`${words.length} words, ${queue.length} to process in ${chunks.length} chunks`);
+
+        await mapWithConcurrency(chunks, this.concurrency, chunk => this.processChunk(chunk, manifest));
+
+        // Combine the answers of every succeeded word, in input order
+        const status = this.wordStatus(words, manifest);
+        const entriesByChunk = new Map();
+        const results = [];
+        for (const word of words) {
+            const { chunk } = status.get(word);
+            if (chunk === null) continue;
+            if (!entriesByChunk.has(chunk)) entriesByChunk.set(chunk, await readJson(this.chunkFile(chunk), []));
+            const entry = entriesByChunk.get(chunk).find(entry => entry.word.toLowerCase() === word.toLowerCase());
+            if (entry) results.push(entry);
+        }
+        await fs.writeFile(output, JSON.stringify(results, null, 2), 'utf-8');
+
+        const counts = Object.fromEntries(Object.values(WordStatus).map(value => [value, 0]));
+        for (const { status: value } of status.values()) counts[value]++;
+        // Corrections are reported on their own, latest chunk per word wins
+        const suggestions = new Map();
+        for (const chunk of manifest.chunks) {
+            for (const suggestion of chunk.suggestions || []) suggestions.set(suggestion.word, suggestion);
+        }
+        const quality = dictionaryReport(results, { requested: words.length, statusCounts: counts, suggestions: [...suggestions.values()] });
+        quality.unresolved = [...status]
+            .filter(([, { status: value }]) => value !== WordStatus.SUCCEEDED)
+            .map(([word, { status: value }]) => ({ word, status: value }));
+        await writeJson(report, quality);
+
+        console.log("Dictionary processing completed!");
+        console.log(`Total words: ${words.length}, ${Object.entries(counts).map(([key, count]) => `${key} ${count}`).join(', ')}`);
+        console.log(`Suggested corrections: ${quality.suggestions.length}, entries with issues: ${quality.entriesWithIssues}, report: ${report}`);
+        if (counts.failed || counts.missing || counts.invalid) console.log("Run again with --retry-failed to retry failed, missing and invalid words");
+        return counts;
     }
 }
 
-// Run the processor
-const processor = new DictionaryProcessor();
-processor.processWords();
\ No newline at end of file
+const { values: args } = parseArgs({
+    options: {
+        input: { type: 'string', default: './cached_words.txt' },
+        output: { type: 'string', default: 'all_dic.json' },
+        'work-dir': { type: 'string', default: './dic_temp' },
+        model: { type: 'string', default: 'GEMINI' },
+        'chunk-size': { type: 'string', default: '50' },
+        concurrency: { type: 'string', default: '2' },
+        retries: { type: 'string', default: '2' },
+        'retry-failed': { type: 'boolean', default: false },
+        report: { type: 'string' },
+        export: { type: 'string' },
+        'export-dir': { type: 'string', default: './export' },
+        help: { type: 'boolean', default: false }
+    }
+});
+
+if (args.help) {
+    console.log(usage);
+    process.exit(0);
+}
+
+try {
+    const processor = new DictionaryProcessor({
+        workDir: args['work-dir'],
+        model: args.model,
+        chunkSize: Number(args['chunk-size']) || 50,
+        concurrency: Number(args.concurrency) || 2,
+        retries: Number.isInteger(Number(args.retries)) ? Number(args.retries) : 2
+    });
+    await processor.processWords({ input: args.input, output: args.output, report: args.report, retryFailed: args['retry-failed'] });
+    if (args.export) {
+        const { entries } = exportableEntries(JSON.parse(await fs.readFile(args.output, 'utf-8')));
+        const files = await exportDictionary(entries, {
+            outDir: args['export-dir'],
+            formats: args.export.split(',').map(format => format.trim()).filter(Boolean),
+            basename: path.basename(args.output, path.extname(args.output))
+        });
+        console.log(`Exported ${Object.values(files).flat().join(', ')}`);
+    }
+} catch (error) {
+    console.error("Error processing dictionary:", error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { createRegistry, loadModelConfig, FixtureStore, createReplayRegistry, recordProviders } from './src/providers/index.js';
+import { ImageAnalysisClient } from './src/analysisClient.js';
+import { Resilience } from './src/resilience.js';
+import { PromptStore } from './src/prompts.js';
+import { loadDataset, evaluate, formatReport } from './src/evaluation.js';
+
+dotenv.config();
+
+// Measures date extraction accuracy on a labeled dataset.
+// --record saves every model answer, --replay answers from those files without network access.
+const usage = `Usage: node evaluate.js --dataset <file> [--models A,B] [--prompt-version <v>] [--profile <name>]
+                        [--record <dir> | --replay <dir>] [--concurrency <n>] [--out <file>] [--json]`;
+
+const { values: args } = parseArgs({
+    options: {
+        dataset: { type: 'string' },
+        models: { type: 'string' },
+        'prompt-version': { type: 'string' },
+        profile: { type: 'string' },
+        record: { type: 'string' },
+        replay: { type: 'string' },
+        concurrency: { type: 'string', default: '2' },
+        out: { type: 'string' },
+        json: { type: 'boolean', default: false }
+    }
+});
+
+async function main() {
+    if (!args.dataset || (args.record && args.replay)) {
+        console.error(usage);
+        process.exit(2);
+    }
+
+    const dataset = await loadDataset(args.dataset);
+    const config = loadModelConfig();
+    let registry;
+    if (args.replay) {
+        registry = createReplayRegistry(config, new FixtureStore({ dir: args.replay }));
+    } else {
+        registry = createRegistry(config);
+        if (args.record) recordProviders(registry, new FixtureStore({ dir: args.record }));
+    }
+
+    const client = new ImageAnalysisClient(registry, {
+        preprocessing: config.preprocessing,
+        resilience: new Resilience(config.resilience),
+        prompts: new PromptStore({ templates: config.prompts, today: dataset.today }).load()
+    });
+
+    const models = args.models ? args.models.split(',').map(model => model.trim()) : registry.ids();
+    const unknown = models.filter(model => !registry.resolve(model));
+    if (unknown.length) {
+        console.error(`Unknown or unavailable models: ${unknown.join(', ')}. Use ${registry.ids().join(', ')}`);
+        process.exit(2);
+    }
+
+    const report = await evaluate(client, dataset, {
+        models: models.map(model => registry.resolve(model)),
+        options: { prompt_version: args['prompt-version'], profile: args.profile },
+        concurrency: Number(args.concurrency) || 2
+    });
+    report.mode = args.replay ? 'replay' : args.record ? 'record' : 'live';
+
+    if (args.out) {
+        await fs.mkdir(path.dirname(path.resolve(args.out)), { recursive: true });
+        await fs.writeFile(args.out, JSON.stringify(report, null, 2), 'utf-8');
+    }
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+main().catch(error => {
+    console.error("Evaluation failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { exportFormats, exportableEntries, exportDictionary } from './src/dictionaryExport.js';
+
+// Converts a dictionary built by batch.js into Anki, StarDict and SQLite files
+const usage = `Usage: node exportDictionary.js [--input all_dic.json] [--out-dir export] [--formats ${exportFormats.join(',')}]
+                              [--basename <name>] [--name "English-Chinese Dictionary"] [--anki-csv]`;
+
+const { values: args } = parseArgs({
+    options: {
+        input: { type: 'string', default: 'all_dic.json' },
+        'out-dir': { type: 'string', default: './export' },
+        formats: { type: 'string', default: exportFormats.join(',') },
+        basename: { type: 'string' },
+        name: { type: 'string', default: 'English-Chinese Dictionary' },
+        'anki-csv': { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false }
+    }
+});
+
+if (args.help) {
+    console.log(usage);
+    process.exit(0);
+}
+
+try {
+    const { entries, skipped } = exportableEntries(JSON.parse(await fs.readFile(args.input, 'utf-8')));
+    const files = await exportDictionary(entries, {
+        outDir: args['out-dir'],
+        formats: args.formats.split(',').map(format => format.trim()).filter(Boolean),
+        basename: args.basename || path.basename(args.input, path.extname(args.input)),
+        name: args.name,
+        ankiSeparator: args['anki-csv'] ? 'comma' : 'tab'
+    });
+    console.log(`Exported ${entries.length} entries${skipped ? `, skipped ${skipped} invalid or duplicate` : ''}`);
+    for (const [format, written] of Object.entries(files)) console.log(`  ${format}: ${written.join(', ')}`);
+} catch (error) {
+    console.error("Error exporting dictionary:", error.message);
+    process.exitCode = 1;
+}
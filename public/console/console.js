@@ -0,0 +1,368 @@
+// Console for the AI API service: compare models on a label image and save corrected
+// values as ground truth, chat through /ask, and watch /status and /usage.
+// Plain browser JavaScript, served as is by the Express app under /console.
+
+const $ = id => document.getElementById(id);
+
+// Same lists as src/analysisClient.js; POST /labels rejects any other field
+const defaultFields = ['production_date', 'expiration_date', 'production_id', 'shelf_life', 'additional_info'];
+const analysisFields = [...defaultFields, 'barcode', 'net_content', 'storage_conditions', 'manufacturer'];
+const boxColors = ['#0969da', '#bc4c00', '#8250df', '#1a7f37', '#cf222e'];
+
+// Builds an element; strings become text nodes, so model output is never parsed as HTML
+function el(tag, attributes = {}, ...children) {
+    const element = document.createElement(tag);
+    for (const [name, value] of Object.entries(attributes)) {
+        if (value === null || value === undefined || value === false) continue;
+        if (name === 'className') element.className = value;
+        else if (name.startsWith('on')) element.addEventListener(name.slice(2), value);
+        else element.setAttribute(name, value === true ? '' : value);
+    }
+    for (const child of children.flat()) {
+        if (child === null || child === undefined) continue;
+        element.append(child instanceof Node ? child : String(child));
+    }
+    return element;
+}
+
+// API key, kept in localStorage between visits
+const apiKeyInput = $('apiKey');
+apiKeyInput.value = localStorage.getItem('apiKey') || '';
+apiKeyInput.addEventListener('change', () => {
+    localStorage.setItem('apiKey', apiKeyInput.value);
+    loadChoices();
+});
+const authHeaders = () => apiKeyInput.value ? { 'X-API-Key': apiKeyInput.value } : {};
+
+// JSON API call, throws with the service's error message on 4xx/5xx
+async function api(path, options = {}) {
+    const response = await fetch(path, { ...options, headers: { ...authHeaders(), ...options.headers } });
+    const body = await response.json().catch(() => ({ error: response.statusText }));
+    if (!response.ok) {
+        throw Object.assign(new Error(body.error || `HTTP ${response.status}`), { status: response.status, body });
+    }
+    return body;
+}
+
+function showMessage(element, text, isError = false) {
+    element.textContent = text;
+    element.classList.toggle('error', isError);
+}
+
+// Views
+const views = document.querySelectorAll('.view');
+const tabs = document.querySelectorAll('header nav button');
+let currentView = 'compare';
+for (const tab of tabs) {
+    tab.addEventListener('click', () => {
+        currentView = tab.dataset.view;
+        tabs.forEach(other => other.classList.toggle('active', other === tab));
+        views.forEach(view => view.classList.toggle('active', view.id === `view-${currentView}`));
+        if (currentView === 'status') refreshStatus();
+    });
+}
+
+// Model and prompt version pickers
+async function loadChoices() {
+    try {
+        const { data: models } = await api('/models');
+        $('chatModel').replaceChildren(...models.map(({ id, label }) => el('option', { value: id }, label || id)));
+    } catch (error) {
+        console.warn('Could not load models:', error.message);
+    }
+    try {
+        const { data: templates } = await api('/prompts');
+        const template = templates.find(({ name }) => name === 'date-extraction');
+        if (template) {
+            $('promptVersion').replaceChildren(
+                el('option', { value: '' }, `default (${template.default})`),
+                ...template.versions.map(version => el('option', { value: version }, version))
+            );
+        }
+    } catch (error) {
+        // /prompts needs a key; the default version is used until one is entered
+    }
+}
+
+// ---- Compare & review ----
+
+const compareForm = $('compareForm');
+const preview = $('preview');
+const previewFrame = $('previewFrame');
+let comparison = null;
+
+compareForm.image.addEventListener('change', () => {
+    const [file] = compareForm.image.files;
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    preview.src = file ? URL.createObjectURL(file) : '';
+    comparison = null;
+    $('compareTable').replaceChildren();
+    $('modelErrors').replaceChildren();
+    $('reviewActions').hidden = true;
+    showMessage($('labelMessage'), '');
+});
+
+function requestedFields() {
+    const extra = compareForm.extra_fields.value.split(',').map(field => field.trim()).filter(Boolean);
+    return extra.length ? [...defaultFields, ...extra.filter(field => !defaultFields.includes(field))] : null;
+}
+
+// Same idea as the server's consensus: objects like shelf_life compare by value and unit
+function valueKey(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return value.value !== undefined && value.unit ? `${value.value} ${value.unit}` : JSON.stringify(value);
+    return String(value);
+}
+
+function displayValue(value) {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object') return value.text || valueKey(value);
+    return String(value);
+}
+
+// Input value for the ground truth column
+function editableValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? value.text || valueKey(value) : String(value);
+}
+
+compareForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    const form = new FormData();
+    form.append('image', compareForm.image.files[0]);
+    if (compareForm.strategy.value) form.append('strategy', compareForm.strategy.value);
+    if (compareForm.prompt_version.value) form.append('prompt_version', compareForm.prompt_version.value);
+    const fields = requestedFields();
+    if (fields) form.append('fields', fields.join(','));
+
+    const button = compareForm.querySelector('button[type="submit"]');
+    button.disabled = true;
+    showMessage($('compareMessage'), 'Asking every model…');
+    try {
+        const headers = compareForm.nocache.checked ? { 'Cache-Control': 'no-cache' } : {};
+        comparison = await api('/compareAnalyze', { method: 'POST', body: form, headers });
+        comparison.fields = fields;
+        renderComparison(comparison);
+        const failed = comparison.results.filter(({ error }) => error).length;
+        showMessage($('compareMessage'), `${comparison.results.length - failed} of ${comparison.results.length} models answered, strategy ${comparison.consensus.strategy}`);
+    } catch (error) {
+        showMessage($('compareMessage'), error.message, true);
+    } finally {
+        button.disabled = false;
+    }
+});
+
+// Requested fields first, then any other analysis field a model answered
+function comparedFields({ results, fields }) {
+    const names = new Set(fields || defaultFields);
+    for (const { data } of results) {
+        for (const key of Object.keys(data || {})) names.add(key);
+    }
+    return [...names].filter(name => analysisFields.includes(name));
+}
+
+function renderComparison({ consensus, results, fields }) {
+    const answered = results.filter(({ data }) => data);
+    const header = el('tr', {},
+        el('th', {}, 'Field'),
+        results.map(({ model, error }) => el('th', { className: error ? 'failed' : null }, model)),
+        el('th', {}, 'Consensus'),
+        el('th', {}, 'Ground truth'));
+
+    const rows = comparedFields({ results, fields }).map(field => {
+        const agreed = consensus.fields[field];
+        // Fields outside the server's consensus: any two different answers count as a disagreement
+        const reference = agreed ? valueKey(agreed.value) : valueKey(answered.find(({ data }) => data[field] != null)?.data[field]);
+        const keys = new Set(answered.map(({ data }) => valueKey(data[field])));
+
+        const cells = results.map(({ model, data, error }) => {
+            if (error) return el('td', { className: 'failed' }, '—');
+            const value = data[field];
+            const confidence = data.evidence?.[field]?.confidence;
+            const disagrees = agreed ? !agreed.agreeing.includes(model) : keys.size > 1 && valueKey(value) !== reference;
+            return el('td', { className: disagrees ? 'disagree' : null },
+                displayValue(value),
+                typeof confidence === 'number' ? el('span', { className: 'confidence' }, `${Math.round(confidence * 100)}%`) : null);
+        });
+
+        const initial = agreed ? agreed.value : answered.find(({ data }) => data[field] != null)?.data[field];
+        return el('tr', {
+            className: keys.size > 1 ? 'conflict' : null,
+            onmouseenter: () => drawBoxes(field, results),
+            onmouseleave: () => drawBoxes(null, results)
+        },
+            el('th', {}, field),
+            cells,
+            el('td', {},
+                agreed ? displayValue(agreed.value) : '—',
+                agreed && answered.length > 1 ? el('div', { className: 'agreement' }, `${Math.round(agreed.agreement * 100)}% agree`) : null),
+            el('td', {}, el('input', { type: 'text', name: field, value: editableValue(initial), placeholder: 'null' })));
+    });
+
+    $('compareTable').replaceChildren(el('thead', {}, header), el('tbody', {}, rows));
+    $('modelErrors').replaceChildren(...results
+        .filter(({ error }) => error)
+        .map(({ model, error }) => el('p', {}, `${model}: ${error.error}${error.code ? ` (${error.code})` : ''}`)));
+    $('reviewActions').hidden = false;
+    showMessage($('labelMessage'), '');
+}
+
+// Boxes are relative to the image the model saw; without rotation or roi that is the preview
+function drawBoxes(field, results) {
+    previewFrame.querySelectorAll('.box').forEach(box => box.remove());
+    if (!field) return;
+    results.forEach(({ model, data }, index) => {
+        const box = data?.evidence?.[field]?.box;
+        if (!box) return;
+        const color = boxColors[index % boxColors.length];
+        previewFrame.append(el('div', {
+            className: 'box',
+            style: `left:${box.x * 100}%;top:${box.y * 100}%;width:${box.width * 100}%;height:${box.height * 100}%;border-color:${color}`
+        }, el('span', { style: `background:${color}` }, model)));
+    });
+}
+
+$('saveLabel').addEventListener('click', async () => {
+    if (!comparison) return;
+    const fields = {};
+    for (const input of $('compareTable').querySelectorAll('tbody input')) {
+        fields[input.name] = input.value.trim() || null;
+    }
+    const predictions = Object.fromEntries(comparison.results.map(({ model, data, error }) => [model, error ? { error: error.error } : data]));
+
+    const form = new FormData();
+    form.append('image', compareForm.image.files[0]);
+    form.append('fields', JSON.stringify(fields));
+    form.append('predictions', JSON.stringify(predictions));
+    try {
+        const { data } = await api('/labels', { method: 'POST', body: form });
+        showMessage($('labelMessage'), `Saved as ${data.id}`);
+    } catch (error) {
+        showMessage($('labelMessage'), error.message, true);
+    }
+});
+
+// ---- Chat ----
+
+const chatLog = $('chatLog');
+
+function chatMessage(role, text = '') {
+    const message = el('p', { className: `chat-message ${role}` }, text);
+    chatLog.append(message);
+    chatLog.scrollTop = chatLog.scrollHeight;
+    return message;
+}
+
+// Streams /ask as NDJSON: { event: "token", text } ... { event: "done" | "error", ... }
+async function ask(prompt, model) {
+    chatMessage('user', prompt);
+    const answer = chatMessage('assistant');
+    const response = await fetch('/ask', {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt, model, stream: 'ndjson' })
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            const event = JSON.parse(line);
+            if (event.event === 'token') {
+                answer.append(event.text);
+            } else if (event.event === 'done') {
+                const details = [event.model, event.finishReason, event.usage?.totalTokens && `${event.usage.totalTokens} tokens`,
+                    event.cache === 'hit' && 'cached', event.fallbackFrom?.length && `fallback from ${event.fallbackFrom.join(', ')}`];
+                answer.append(el('span', { className: 'meta' }, details.filter(Boolean).join(' · ')));
+            } else if (event.event === 'error') {
+                throw new Error(event.error);
+            }
+            chatLog.scrollTop = chatLog.scrollHeight;
+        }
+    }
+}
+
+$('chatForm').addEventListener('submit', async event => {
+    event.preventDefault();
+    const prompt = $('chatPrompt').value.trim();
+    if (!prompt) return;
+    $('chatPrompt').value = '';
+    const button = $('chatForm').querySelector('button');
+    button.disabled = true;
+    try {
+        await ask(prompt, $('chatModel').value);
+    } catch (error) {
+        chatMessage('error', error.message);
+    } finally {
+        button.disabled = false;
+    }
+});
+
+$('chatPrompt').addEventListener('keydown', event => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) $('chatForm').requestSubmit();
+});
+
+// ---- Status ----
+
+const formatJson = value => el('pre', {}, JSON.stringify(value, null, 2));
+
+function table(rows) {
+    return el('table', {}, el('tbody', {}, rows.map(([name, value]) => el('tr', {}, el('th', {}, name), el('td', {}, value)))));
+}
+
+function renderService(status) {
+    const uptime = status.uptimeSeconds;
+    return table([
+        ['Status', status.status],
+        ['Version', status.version],
+        ['Uptime', `${Math.floor(uptime / 3600)}h ${Math.floor(uptime % 3600 / 60)}m ${uptime % 60}s`],
+        ['Models', el('div', {}, status.models.map(({ id, ready, reason }) =>
+            el('div', { className: ready ? 'ready' : 'not-ready' }, `${ready ? '●' : '○'} ${id}${reason ? ` (${reason})` : ''}`)))],
+        ['Requests', formatJson(status.requests)],
+        ['Jobs', formatJson(status.jobs)],
+        ['Cache', formatJson(status.cache)],
+        ['Resilience', formatJson(status.resilience)],
+        ['Dictionary', formatJson(status.dictionary)]
+    ]);
+}
+
+function renderUsage(usage) {
+    const days = Object.entries(usage.usage.days).sort(([a], [b]) => b.localeCompare(a)).slice(0, 7);
+    return table([
+        ['Key', `${usage.name || '(unnamed)'} ${usage.prefix}…`],
+        ['Rate limit', `${usage.rateLimit} / minute`],
+        ['Daily quota', `${usage.remainingToday} of ${usage.dailyQuota} model calls left today`],
+        ['Total', `${usage.usage.requests} requests, ${usage.usage.modelCalls} model calls`],
+        ['Recent days', days.length ? table(days.map(([day, { requests, modelCalls }]) => [day, `${requests} requests, ${modelCalls} model calls`])) : '—']
+    ]);
+}
+
+async function refreshStatus() {
+    try {
+        $('serviceStatus').replaceChildren(renderService(await api('/status')));
+    } catch (error) {
+        $('serviceStatus').replaceChildren(el('p', { className: 'message error' }, error.message));
+    }
+    try {
+        const { data } = await api('/usage');
+        $('usageStatus').replaceChildren(renderUsage(data));
+    } catch (error) {
+        $('usageStatus').replaceChildren(el('p', { className: 'message' }, error.message));
+    }
+}
+
+setInterval(() => {
+    if (currentView === 'status' && !document.hidden) refreshStatus();
+}, 5000);
+
+loadChoices();
@@ -0,0 +1,274 @@
+import { createRegistry } from './providers/index.js';
+import { validateAnalysis } from './validation.js';
+import { buildConsensus, consensusOptions } from './consensus.js';
+import { observeModelCall, observeModelStream, recordUsage, jsonParseFailures, jsonRepairs } from './metrics.js';
+import { ResultCache, hashKey } from './cache.js';
+import { PreprocessingProfiles, preprocessImage, parseRoi } from './preprocess.js';
+import { Resilience, ModelError, errorBody, shouldFallBack } from './resilience.js';
+import { extractJson } from './jsonExtract.js';
+import { PromptStore, PromptError } from './prompts.js';
+
+// Fields the date-extraction prompt asks for unless the request picks others with "fields".
+// Only prompts that ask for "evidence" (date-extraction v4) get a confidence and box per field;
+// the default prompt (v2) does not, so its data.evidence is {} unless prompt_version=v4 is
+// requested or "fields" picks a prompt that takes {{fields}}.
+export const defaultFields = ['production_date', 'expiration_date', 'production_id', 'shelf_life', 'additional_info'];
+// Label fields on request; production_id is the lot or batch number
+export const labelFields = ['barcode', 'net_content', 'storage_conditions', 'manufacturer'];
+export const analysisFields = [...defaultFields, ...labelFields];
+
+function parseFields(fields) {
+    if (fields === undefined || fields === null || fields === '') return defaultFields;
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+    const requested = list.map(field => String(field).trim()).filter(Boolean);
+    const unknown = requested.filter(field => !analysisFields.includes(field));
+    if (unknown.length || !requested.length) {
+        throw new Error(`Invalid fields ${unknown.join(', ')}. Use a subset of ${analysisFields.join(', ')}`);
+    }
+    return requested;
+}
+
+// Form fields arrive as strings, so "false" turns fallback off as well
+export function fallbackEnabled(value) {
+    return value !== false && value !== 'false' && value !== '0';
+}
+
+export class ImageAnalysisClient {
+    constructor(registry = createRegistry(), { consensus = {}, preprocessing = {}, cache = new ResultCache(), resilience = new Resilience(), prompts = new PromptStore().load() } = {}) {
+        this.registry = registry;
+        this.prompts = prompts;
+        this.consensusDefaults = consensus;
+        this.preprocessing = new PreprocessingProfiles(preprocessing);
+        this.cache = cache;
+        this.resilience = resilience;
+    }
+
+    models() {
+        return this.registry.list();
+    }
+
+    resolveModel(modelType) {
+        return this.registry.resolve(modelType);
+    }
+
+    // Runs fn(provider) on the requested model, then on its configured fallbacks
+    // while the failure is one another model might not have (rate limit, timeout, outage).
+    // Resolves with [result, fallbackFrom], fallbackFrom lists the models that failed first.
+    async withFallback(modelType, fallback, fn) {
+        const chain = this.resilience.chain(this.registry.resolve(modelType), fallback)
+            .filter(id => this.registry.resolve(id));
+        const failed = [];
+        for (const [index, id] of chain.entries()) {
+            try {
+                return [await fn(this.registry.get(id)), failed];
+            } catch (error) {
+                if (index === chain.length - 1 || !shouldFallBack(error)) throw error;
+                console.warn(`${id} failed (${error.code}), falling back to ${chain[index + 1]}`);
+                failed.push(id);
+            }
+        }
+    }
+
+    // Validates per-request analysis options, throws on unknown profiles, prompt versions or a bad roi
+    analysisOptions({ profile, roi, fallback, prompt_version, locale, fields } = {}, modelType) {
+        const provider = this.registry.get(modelType);
+        return {
+            profile: this.preprocessing.resolve(profile, provider.config?.preprocess),
+            roi: parseRoi(roi),
+            fallback: fallbackEnabled(fallback),
+            ...this.promptFields(prompt_version, parseFields(fields)),
+            locale: locale || undefined
+        };
+    }
+
+    // Model calls one analysis may take: a multi-variant profile asks once per variant
+    analysisCalls(profile) {
+        return this.preprocessing.variants(profile).length;
+    }
+
+    // Model calls of a comparison with compareOptions() options, every model with its own profile
+    compareCalls({ profile }) {
+        return this.models().reduce((calls, { id }) => calls + this.analysisCalls(this.analysisOptions({ profile }, id).profile), 0);
+    }
+
+    // Any other fields than the defaults (more, or only some of them) need a prompt that takes
+    // {{fields}}. Without a requested prompt_version the newest such version is used (list() sorts
+    // versions numerically), a requested one that cannot ask is a 400.
+    promptFields(requested, fields) {
+        const name = 'date-extraction';
+        const version = this.prompts.resolveVersion(name, requested);
+        const asksFields = candidate => this.prompts.placeholders(name, candidate).includes('fields');
+        const custom = fields.length !== defaultFields.length || fields.some(field => !defaultFields.includes(field));
+        if (!custom || asksFields(version)) return { prompt_version: version, fields };
+
+        const capable = this.prompts.list().find(template => template.name === name).versions.filter(asksFields);
+        if (requested || !capable.length) {
+            throw new PromptError(`Prompt ${name}-${version} cannot ask for exactly ${fields.join(', ')}. Use prompt_version ${capable.join(', ') || '(none available)'}`);
+        }
+        return { prompt_version: capable.at(-1), fields };
+    }
+
+    // options: { profile, roi, cache, fallback } - cache: false skips the result cache,
+    // fallback: false sticks to the requested model
+    async analyzeImage(imageBuffer, modelType, options = {}) {
+        const [analysis, fallbackFrom] = await this.withFallback(modelType, options.fallback !== false,
+            provider => this.analyzeWith(provider, imageBuffer, options));
+        if (fallbackFrom.length) analysis.meta.fallbackFrom = fallbackFrom;
+        return analysis;
+    }
+
+    async analyzeWith(provider, imageBuffer, options) {
+        const { profile, roi } = this.analysisOptions(options, provider.id);
+        const useCache = options.cache !== false;
+        const prompt = this.prompts.render('date-extraction', {
+            version: options.prompt_version,
+            variables: { locale: options.locale, fields: options.fields }
+        });
+
+        try {
+            // Multi-variant profiles retry with the next variant until a date is found
+            const variants = this.preprocessing.variants(profile);
+            let analysis;
+            for (const [index, variant] of variants.entries()) {
+                const processedImageBuffer = await preprocessImage(imageBuffer, variant.profile, { roi });
+                const cacheKey = hashKey('analyze', provider.id, provider.visionModel, prompt.id, prompt.text, processedImageBuffer);
+
+                const [{ data, warnings, repairs }, cacheStatus] = await this.cache.wrap(cacheKey, useCache, async () => {
+                    const base64Image = processedImageBuffer.toString('base64');
+                    const text = await this.resilience.call(provider.id, signal =>
+                        observeModelCall(provider.id, 'analyze', () =>
+                            provider.analyzeImage({ base64Image, mimeType: "image/jpeg", prompt: prompt.text, signal })));
+                    let extracted;
+                    try {
+                        extracted = extractJson(text, { expect: 'object' });
+                    } catch (error) {
+                        jsonParseFailures.inc({ model: provider.id });
+                        throw new ModelError(`No usable JSON in ${provider.label} response: ${error.message}`, {
+                            code: 'invalid_response', model: provider.id, cause: error
+                        });
+                    }
+                    for (const repair of extracted.repairs) jsonRepairs.inc({ model: provider.id, repair });
+                    return { ...validateAnalysis(extracted.value), repairs: extracted.repairs };
+                });
+                analysis = {
+                    data,
+                    warnings,
+                    meta: {
+                        model: provider.id,
+                        promptVersion: prompt.id,
+                        preprocessing: { profile, variant: variant.name, attempts: index + 1 },
+                        jsonRepairs: repairs,
+                        cache: cacheStatus
+                    }
+                };
+                if (data.production_date || data.expiration_date) break;
+            }
+            return analysis;
+        } catch (error) {
+            console.error(`Error analyzing with ${provider.id}:`, error);
+            throw error;
+        }
+    }
+
+    // Every model is asked on its own, so fallback does not apply here
+    compareOptions({ strategy, preferred, profile, roi, cache, prompt_version, locale, fields } = {}) {
+        for (const { id } of this.models()) {
+            ({ prompt_version, locale, fields } = this.analysisOptions({ profile, roi, prompt_version, locale, fields }, id));
+        }
+        return { ...consensusOptions({ strategy, preferred }, this.consensusDefaults), profile, roi, cache, prompt_version, locale, fields };
+    }
+
+    // Runs every model on the image; a failing model is reported, not hidden
+    async compareAnalyze(imageBuffer, options = {}) {
+        const { strategy, preferred } = consensusOptions(options, this.consensusDefaults);
+        const results = await Promise.all(this.models().map(({ id }) =>
+            this.analyzeImage(imageBuffer, id, { ...options, fallback: false })
+                .then(({ data, warnings, meta }) => ({ model: id, data, warnings, meta, error: null }))
+                .catch(error => ({ model: id, data: null, warnings: [], meta: null, error: errorBody(error) }))
+        ));
+
+        return {
+            consensus: buildConsensus(results, { strategy, preferred }),
+            results,
+            // Legacy shape: one entry per model, failures as all-null objects
+            datas: results.map(({ data }) => data || {
+                production_date: null,
+                expiration_date: null,
+                production_id: null,
+                additional_info: null
+            })
+        };
+    }
+
+    // history: earlier turns as [{ role: 'user' | 'assistant', content }]
+    async ask(prompt, modelType, { cache = true, history = [], fallback = true } = {}) {
+        try {
+            const [{ data, meta }, fallbackFrom] = await this.withFallback(modelType, fallback, async provider => {
+                const cacheKey = hashKey('ask', provider.id, provider.model, history, prompt);
+                const [data, cacheStatus] = await this.cache.wrap(cacheKey, cache, async () => {
+                    const answer = await this.resilience.call(provider.id, signal =>
+                        observeModelCall(provider.id, 'ask', () => provider.ask(prompt, { history, signal })));
+                    recordUsage(provider.id, answer.usage);
+                    return answer;
+                });
+                return { data, meta: { model: provider.id, cache: cacheStatus } };
+            });
+            if (fallbackFrom.length) meta.fallbackFrom = fallbackFrom;
+            return { data, meta };
+        } catch (error) {
+            console.error(`Error in ${modelType} ask:`, error);
+            throw error;
+        }
+    }
+
+    // Yields the provider's { type: 'text' | 'done' } events. Falls back to the next model
+    // only while nothing was sent yet, a failure mid-answer ends the stream.
+    async *askStream(prompt, modelType, { cache = true, signal, history = [], fallback = true } = {}) {
+        const chain = this.resilience.chain(this.registry.resolve(modelType), fallback)
+            .filter(id => this.registry.resolve(id));
+        const failed = [];
+        for (const [index, id] of chain.entries()) {
+            let started = false;
+            try {
+                for await (const event of this.askStreamWith(this.registry.get(id), prompt, { cache, signal, history })) {
+                    started = true;
+                    yield event.type === 'done' && failed.length ? { ...event, fallbackFrom: failed } : event;
+                }
+                return;
+            } catch (error) {
+                if (started || signal?.aborted || index === chain.length - 1 || !shouldFallBack(error)) throw error;
+                console.warn(`${id} failed (${error.code}), falling back to ${chain[index + 1]}`);
+                failed.push(id);
+            }
+        }
+    }
+
+    // A cached answer is replayed as one chunk
+    async *askStreamWith(provider, prompt, { cache, signal, history }) {
+        const cacheKey = hashKey('ask', provider.id, provider.model, history, prompt);
+
+        const cached = cache ? this.cache.get(cacheKey) : undefined;
+        if (!cache) this.cache.skip();
+        if (cached) {
+            yield { type: 'text', text: cached.response };
+            yield { type: 'done', finishReason: cached.finishReason, usage: cached.usage, model: provider.id, cache: 'hit' };
+            return;
+        }
+
+        let response = "";
+        const events = this.resilience.stream(provider.id, attemptSignal =>
+            observeModelStream(provider.id, 'stream', provider.stream(prompt, { signal: attemptSignal, history })), { signal });
+        for await (const event of events) {
+            if (event.type === 'text') {
+                response += event.text;
+                yield event;
+            } else if (event.type === 'done') {
+                // Only complete answers are cached
+                if (cache && !signal?.aborted) {
+                    this.cache.set(cacheKey, { response, finishReason: event.finishReason, usage: event.usage });
+                }
+                yield { ...event, model: provider.id, cache: cache ? 'miss' : 'bypass' };
+            }
+        }
+    }
+}
@@ -0,0 +1,136 @@
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir, readJson, writeJson } from './fileStore.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Client API keys with per-key rate limit, daily model-call quota and usage counters.
+// Only a SHA-256 of each key is stored in DATA_DIR/api_keys.json; the key itself is shown once on issue.
+export class ApiKeyStore {
+    constructor({ file = path.join(dataDir, 'api_keys.json'), defaults = {} } = {}) {
+        this.file = file;
+        this.defaults = { rateLimit: 10, dailyQuota: 500, usageDays: 30, ...defaults };
+        this.keys = new Map();
+        this.saveTimer = null;
+    }
+
+    async init() {
+        const stored = await readJson(this.file, { keys: [] });
+        for (const key of stored.keys) this.keys.set(key.id, key);
+        return this;
+    }
+
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await writeJson(this.file, { keys: [...this.keys.values()] });
+    }
+
+    // Usage changes on every request, so those writes are coalesced
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.save().catch(error => console.error("API key store save error:", error));
+        }, 1000);
+        this.saveTimer.unref();
+    }
+
+    async issue({ name, rateLimit, dailyQuota } = {}) {
+        const secret = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+        const key = {
+            id: crypto.randomUUID(),
+            name: name || null,
+            prefix: secret.slice(0, 10),
+            hash: hashSecret(secret),
+            rateLimit: Number(rateLimit) || this.defaults.rateLimit,
+            dailyQuota: Number(dailyQuota) || this.defaults.dailyQuota,
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null,
+            usage: { requests: 0, modelCalls: 0, days: {} }
+        };
+        this.keys.set(key.id, key);
+        await this.save();
+        return { key: publicKey(key), secret };
+    }
+
+    async revoke(id) {
+        const key = this.keys.get(id);
+        if (!key) return null;
+        key.revokedAt = key.revokedAt || new Date().toISOString();
+        await this.save();
+        return key;
+    }
+
+    async update(id, { name, rateLimit, dailyQuota }) {
+        const key = this.keys.get(id);
+        if (!key) return null;
+        if (name !== undefined) key.name = name;
+        if (rateLimit !== undefined) key.rateLimit = Number(rateLimit) || key.rateLimit;
+        if (dailyQuota !== undefined) key.dailyQuota = Number(dailyQuota) || key.dailyQuota;
+        await this.save();
+        return key;
+    }
+
+    get(id) {
+        return this.keys.get(id) || null;
+    }
+
+    list() {
+        return [...this.keys.values()];
+    }
+
+    // Returns the active key matching a presented secret
+    authenticate(secret) {
+        if (typeof secret !== 'string' || !secret) return null;
+        const hash = hashSecret(secret);
+        for (const key of this.keys.values()) {
+            if (!key.revokedAt && crypto.timingSafeEqual(Buffer.from(key.hash), Buffer.from(hash))) {
+                return key;
+            }
+        }
+        return null;
+    }
+
+    remaining(key) {
+        return Math.max(0, key.dailyQuota - (key.usage.days[today()]?.modelCalls || 0));
+    }
+
+    // Books one request costing `cost` model calls; false when it would exceed the daily quota
+    charge(key, route, cost) {
+        if (cost > this.remaining(key)) return false;
+
+        const day = today();
+        const usage = key.usage;
+        const daily = usage.days[day] || (usage.days[day] = { requests: 0, modelCalls: 0, routes: {} });
+        usage.requests++;
+        usage.modelCalls += cost;
+        daily.requests++;
+        daily.modelCalls += cost;
+        daily.routes[route] = (daily.routes[route] || 0) + 1;
+        key.lastUsedAt = new Date().toISOString();
+
+        // Keep a bounded history of daily counters
+        const days = Object.keys(usage.days).sort();
+        for (const old of days.slice(0, Math.max(0, days.length - this.defaults.usageDays))) {
+            delete usage.days[old];
+        }
+        this.scheduleSave();
+        return true;
+    }
+}
+
+// Everything except the stored hash
+export function publicKey(key) {
+    const { hash, ...rest } = key;
+    return rest;
+}
+
+// "Authorization: Bearer <key>", "X-API-Key: <key>" or ?api_key=<key> (for plain HTML forms).
+// Only strings count: ?api_key=a&api_key=b parses to an array.
+export function presentedKey(req) {
+    const text = value => typeof value === 'string' && value ? value : null;
+    const bearer = text(req.get('authorization'))?.match(/^Bearer\s+(.+)$/i);
+    return text(bearer?.[1]) || text(req.get('x-api-key')) || text(req.query.api_key);
+}
@@ -0,0 +1,920 @@
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+import rateLimit from 'express-rate-limit';
+import { loadModelConfig, providerRegistry } from './providers/index.js';
+import { ImageAnalysisClient, fallbackEnabled } from './analysisClient.js';
+import { JobQueue, publicJob, callbackUrlError } from './jobs.js';
+import { SessionStore, summaryPrompt } from './sessions.js';
+import { ApiKeyStore, presentedKey, publicKey } from './apiKeys.js';
+import { register as metricsRegister, httpMetrics, requestTotals } from './metrics.js';
+import { ResultCache, cacheEnabled } from './cache.js';
+import { extractZipImages, limitedMemoryStorage, analyzeBatch, summarizeBatch, batchToCsv } from './batchAnalyze.js';
+import { Resilience, sendError, errorBody } from './resilience.js';
+import { PromptStore } from './prompts.js';
+import { DictionaryStore, reconcileEntries } from './dictionary.js';
+import { extractJson } from './jsonExtract.js';
+import { InventoryStore, InventoryError, ItemStatus, ExpiryState, parseDay } from './inventory.js';
+import { LabelStore } from './labels.js';
+
+const consoleDir = fileURLToPath(new URL('../public/console', import.meta.url));
+
+// Rate limits are counted per API key (per IP for unauthenticated routes)
+const clientKey = req => req.apiKey ? `key:${req.apiKey.id}` : req.ip;
+
+// Limits over a window (1 minute by default) answered as JSON; without a key, requests are counted per IP
+function rateLimiter({ limit, key, windowMs = 60 * 1000, message = "Too many requests, please try again after 1 minute" }) {
+    return rateLimit({
+        windowMs,
+        limit,
+        ...(key && { keyGenerator: key }),
+        message: { status: 429, error: message },
+        standardHeaders: true,
+        legacyHeaders: false
+    });
+}
+
+const imageMimeTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif', 'image/heic', 'image/heif', 'image/bmp'];
+const archiveMimeTypes = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+function uploadFilter(req, file, cb) {
+    const allowed = file.fieldname === 'archive' ? archiveMimeTypes : imageMimeTypes;
+    if (allowed.includes(file.mimetype)) {
+        return cb(null, true);
+    }
+    const error = new Error(`Unsupported file type ${file.mimetype} for field ${file.fieldname}`);
+    error.status = 415;
+    cb(error);
+}
+
+// Jobs and sessions belong to the key that created them
+function ownedBy(req, owner) {
+    return !req.apiKey || owner === req.apiKey.id;
+}
+
+// Streaming mode for /ask: body.stream = true | "sse" | "ndjson", or an Accept header
+function askStreamMode(req) {
+    const { stream } = req.body;
+    const accept = req.get('accept') || '';
+    if (stream === 'ndjson' || accept.includes('application/x-ndjson')) {
+        return 'ndjson';
+    }
+    if (stream === true || stream === 'true' || stream === 'sse' || accept.includes('text/event-stream')) {
+        return 'sse';
+    }
+    return null;
+}
+
+// Builds the HTTP API. Every collaborator can be passed in (tests, tools); whatever is
+// missing is built from config and env. The stores are initialized here, the caller listens:
+//   const { app } = await createApp({ config, env, registry, client, apiKeys, jobs, sessions, dictionary, inventory, labels });
+export async function createApp({ config = loadModelConfig(), env = process.env, registry, client, apiKeys, jobs, sessions, dictionary, inventory, labels } = {}) {
+    // Requests per minute, per API key unless noted
+    const limiter = rateLimiter({ limit: req => req.apiKey?.rateLimit ?? 10, key: clientKey });
+    // Batch uploads count as one request but get their own, stricter window
+    const batchLimiter = rateLimiter({ limit: 2, key: clientKey, message: "Too many batch requests, please try again after 1 minute" });
+    // Dictionary lookups are cheap, words missing from the dictionary are charged to the quota instead
+    const lookupLimiter = rateLimiter({ limit: 120, key: clientKey });
+    // /status is public, but not unlimited (per IP)
+    const statusLimiter = rateLimiter({ limit: 60 });
+    const batchMaxFiles = Number(env.BATCH_MAX_FILES) || 200;
+    const batchConcurrency = Number(env.BATCH_CONCURRENCY) || 3;
+
+    const app = express();
+    app.use(httpMetrics);
+    // Upload limits: single images for /analyze, larger files for batch archives
+    const uploadMaxBytes = Number(env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+    const archiveMaxBytes = Number(env.ARCHIVE_MAX_BYTES) || 200 * 1024 * 1024;
+    // What a whole batch may upload or unpack to in memory
+    const batchMaxBytes = Number(env.BATCH_MAX_BYTES) || 200 * 1024 * 1024;
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: uploadMaxBytes, files: 1 },
+        fileFilter: uploadFilter
+    });
+    const batchUpload = multer({
+        storage: limitedMemoryStorage({ fieldBytes: { images: uploadMaxBytes }, totalBytes: batchMaxBytes }),
+        limits: { fileSize: archiveMaxBytes },
+        fileFilter: uploadFilter
+    });
+    client ??= new ImageAnalysisClient(registry ?? providerRegistry(config, env), {
+        consensus: config.consensus,
+        preprocessing: config.preprocessing,
+        resilience: new Resilience(config.resilience),
+        // PROMPT_TODAY pins {{today}}, so replayed fixtures keep matching on later days
+        prompts: new PromptStore({ templates: config.prompts, today: env.PROMPT_TODAY || null }).load(),
+        cache: new ResultCache({
+            ttlMs: Number(env.CACHE_TTL_MS) || 24 * 60 * 60 * 1000,
+            maxEntries: Number(env.CACHE_MAX_ENTRIES) || 1000
+        })
+    });
+
+    function invalidModelMessage() {
+        return `Invalid model type. Use ${client.models().map(({ id }) => id).join(', ')}`;
+    }
+
+    // API key authentication, set AUTH_DISABLED=1 to run without keys (local development)
+    const authDisabled = env.AUTH_DISABLED === '1';
+    apiKeys ??= new ApiKeyStore({ defaults: config.auth });
+    await apiKeys.init();
+
+    function authenticate(req, res, next) {
+        if (authDisabled) return next();
+        const key = apiKeys.authenticate(presentedKey(req));
+        if (!key) {
+            return res.status(401).json({ status: 401, error: "Missing or invalid API key" });
+        }
+        req.apiKey = key;
+        next();
+    }
+
+    // Books `cost` model calls against the key's daily quota, answers 429 when it is used up
+    function chargeQuota(req, res, cost) {
+        if (!req.apiKey) return true;
+        if (apiKeys.charge(req.apiKey, req.route.path, cost)) {
+            res.set('X-Quota-Remaining', String(apiKeys.remaining(req.apiKey)));
+            return true;
+        }
+        res.status(429).json({
+            status: 429,
+            error: "Daily quota exceeded",
+            quota: { dailyQuota: req.apiKey.dailyQuota, remaining: apiKeys.remaining(req.apiKey), cost }
+        });
+        return false;
+    }
+
+    function requireAdmin(req, res, next) {
+        const adminToken = env.ADMIN_TOKEN;
+        if (!adminToken) {
+            return res.status(403).json({ status: 403, error: "Admin API disabled, set ADMIN_TOKEN" });
+        }
+        const presented = presentedKey(req) || '';
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        if (!crypto.timingSafeEqual(digest(presented), digest(adminToken))) {
+            return res.status(401).json({ status: 401, error: "Invalid admin token" });
+        }
+        next();
+    }
+
+    app.post('/analyze', authenticate, limiter, upload.single('image'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ status: 400, error: "No image file provided" });
+            }
+
+            const modelType = client.resolveModel(req.body.model);
+            if (!modelType) {
+                return res.status(400).json({ status: 400, error: invalidModelMessage() });
+            }
+
+            let options;
+            try {
+                options = client.analysisOptions(req.body, modelType);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: error.message });
+            }
+            if (!chargeQuota(req, res, client.analysisCalls(options.profile))) return;
+
+            const { data, warnings, meta } = await client.analyzeImage(req.file.buffer, modelType, { ...options, cache: cacheEnabled(req) });
+            res.set('X-Cache', meta.cache.toUpperCase());
+            res.json({ status: 200, data, warnings, meta });
+        } catch (error) {
+            console.error("Analysis error:", error);
+            sendError(res, error);
+        }
+    });
+
+
+    // Web console: compare models on an image, correct and save ground truth, chat, live status
+    app.use('/console', express.static(consoleDir));
+    app.get('/check', (req, res) => {
+        res.redirect(302, '/console/');
+    });
+
+    // Models for clients to pick from
+    app.get('/models', statusLimiter, (req, res) => {
+        res.json({ status: 200, data: client.models().map(({ id, label }) => ({ id, label })) });
+    });
+
+    app.post('/compareAnalyze', authenticate, limiter, upload.single('image'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ status: 400, error: "No image file provided" });
+            }
+
+            let options;
+            try {
+                options = client.compareOptions(req.body);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: error.message });
+            }
+            if (!chargeQuota(req, res, client.compareCalls(options))) return;
+
+            const result = await client.compareAnalyze(req.file.buffer, { ...options, cache: cacheEnabled(req) });
+            res.json({ status: 200, ...result });
+        } catch (error) {
+            console.error("Comparison analysis error:", error);
+            sendError(res, error);
+        }
+    });
+    app.post('/batchAnalyze', authenticate, batchLimiter, batchUpload.fields([
+        { name: 'images', maxCount: batchMaxFiles },
+        { name: 'archive', maxCount: 1 }
+    ]), async (req, res) => {
+        try {
+            const modelType = client.resolveModel(req.body.model);
+            if (!modelType) {
+                return res.status(400).json({ status: 400, error: invalidModelMessage() });
+            }
+
+            let options;
+            try {
+                options = client.analysisOptions(req.body, modelType);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: error.message });
+            }
+
+            const format = (req.query.format || req.body.format || 'json').toLowerCase();
+            if (format !== 'json' && format !== 'csv') {
+                return res.status(400).json({ status: 400, error: "Invalid format. Use json or csv" });
+            }
+
+            const files = (req.files?.images || []).map(file => ({ name: file.originalname, buffer: file.buffer }));
+            const archive = req.files?.archive?.[0];
+            if (archive) {
+                try {
+                    files.push(...extractZipImages(archive.buffer, {
+                        maxFiles: batchMaxFiles,
+                        maxFileBytes: uploadMaxBytes,
+                        maxTotalBytes: batchMaxBytes
+                    }));
+                } catch (error) {
+                    const status = error.status || 400;
+                    return res.status(status).json({ status, error: error.message });
+                }
+            }
+            if (!files.length) {
+                return res.status(400).json({ status: 400, error: "No image files provided" });
+            }
+            if (files.length > batchMaxFiles) {
+                return res.status(400).json({ status: 400, error: `Too many files, the limit is ${batchMaxFiles}` });
+            }
+            if (!chargeQuota(req, res, files.length * client.analysisCalls(options.profile))) return;
+
+            const results = await analyzeBatch(client, files, {
+                model: modelType,
+                options: { ...options, cache: cacheEnabled(req) },
+                concurrency: batchConcurrency
+            });
+            if (format === 'csv') {
+                res.type('text/csv').attachment('batch-analyze.csv').send(batchToCsv(results));
+            } else {
+                res.json({ status: 200, model: modelType, summary: summarizeBatch(results), results });
+            }
+        } catch (error) {
+            console.error("Batch analysis error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Async jobs: same work as /analyze and /compareAnalyze, answered with a job id
+    jobs ??= new JobQueue({
+        concurrency: Number(env.JOB_CONCURRENCY) || 2,
+        callbackHosts: (env.CALLBACK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    });
+    jobs.register('analyze', (job, image) => client.analyzeImage(image, job.params.model, job.params));
+    jobs.register('compareAnalyze', (job, image) => client.compareAnalyze(image, job.params));
+    await jobs.init();
+
+    // cost: model calls charged once the job is accepted
+    async function submitJob(req, res, type, params, cost) {
+        const callbackUrl = req.body.callback_url || null;
+        const refused = callbackUrl && await callbackUrlError(callbackUrl, jobs.callbackHosts);
+        if (refused) {
+            return res.status(400).json({ status: 400, error: refused });
+        }
+        if (!chargeQuota(req, res, cost)) return;
+
+        const job = await jobs.submit(type, { params, input: req.file.buffer, callbackUrl, owner: req.apiKey?.id ?? null });
+        res.status(202).json({ status: 202, data: { ...publicJob(job), url: `/jobs/${job.id}` } });
+    }
+
+    app.post('/jobs/analyze', authenticate, limiter, upload.single('image'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ status: 400, error: "No image file provided" });
+            }
+
+            const modelType = client.resolveModel(req.body.model);
+            if (!modelType) {
+                return res.status(400).json({ status: 400, error: invalidModelMessage() });
+            }
+
+            let options;
+            try {
+                options = client.analysisOptions(req.body, modelType);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: error.message });
+            }
+
+            await submitJob(req, res, 'analyze', { model: modelType, ...options }, client.analysisCalls(options.profile));
+        } catch (error) {
+            console.error("Job submit error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.post('/jobs/compareAnalyze', authenticate, limiter, upload.single('image'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ status: 400, error: "No image file provided" });
+            }
+
+            let options;
+            try {
+                options = client.compareOptions(req.body);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: error.message });
+            }
+
+            await submitJob(req, res, 'compareAnalyze', options, client.compareCalls(options));
+        } catch (error) {
+            console.error("Job submit error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.get('/jobs/:id', authenticate, (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job || !ownedBy(req, job.owner)) {
+            return res.status(404).json({ status: 404, error: "Job not found" });
+        }
+        res.json({ status: 200, data: publicJob(job) });
+    });
+
+    // Add status endpoint
+    // Update status endpoint
+    app.get('/status', statusLimiter, async (req, res) => {
+        res.json({
+            status: "running",
+            models: client.registry.health().models,
+            version: "1.0.0",
+            copyright: "sonygod",
+            uptimeSeconds: Math.round(process.uptime()),
+            requests: await requestTotals(),
+            jobs: jobs.stats(),
+            cache: client.cache.stats(),
+            resilience: client.resilience.stats(),
+            dictionary: { words: dictionary.size, onDemand: dictionaryConfig.onDemand !== false }
+        });
+    });
+
+    app.get('/metrics', statusLimiter, async (req, res) => {
+        res.type(metricsRegister.contentType).send(await metricsRegister.metrics());
+    });
+
+    // Liveness: the process is up and serving requests
+    app.get('/health/live', (req, res) => {
+        res.json({ status: "ok" });
+    });
+
+    // Readiness: every configured model has a provider client
+    app.get('/health/ready', (req, res) => {
+        const health = client.registry.health();
+        res.status(health.ready ? 200 : 503).json({ status: health.ready ? "ready" : "not ready", ...health });
+    });
+
+    // Writes askStream() events as SSE or NDJSON. onDone(text, event) runs after a complete answer.
+    async function streamAsk(req, res, mode, { prompt, modelType, history = [], cache = cacheEnabled(req), fallback = true, onDone }) {
+        const controller = new AbortController();
+        // Client went away before the answer finished: stop the upstream stream
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        res.status(200).set({
+            'Content-Type': mode === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(mode === 'sse'
+            ? `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+            : `${JSON.stringify({ event, ...data })}\n`);
+
+        try {
+            let text = "";
+            const events = client.askStream(prompt, modelType, { cache, history, fallback, signal: controller.signal });
+            for await (const event of events) {
+                if (controller.signal.aborted) break;
+                if (event.type === 'text') {
+                    text += event.text;
+                    send('token', { text: event.text });
+                } else if (event.type === 'done') {
+                    const extra = onDone ? await onDone(text, event) : {};
+                    const { finishReason, usage, model, cache, fallbackFrom } = event;
+                    send('done', { finishReason, usage, model, cache, fallbackFrom, ...extra });
+                }
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.error("Ask stream error:", error);
+                send('error', errorBody(error));
+            }
+        }
+        res.end();
+    }
+
+    app.post('/ask', authenticate, limiter, express.json(), async (req, res) => {
+        try {
+            const { prompt, model } = req.body;
+
+            if (!prompt) {
+                return res.status(400).json({ 
+                    status: 400, 
+                    error: "No prompt provided" 
+                });
+            }
+
+            const modelType = client.resolveModel(model);
+            if (!modelType) {
+                return res.status(400).json({ 
+                    status: 400, 
+                    error: invalidModelMessage() 
+                });
+            }
+            if (!chargeQuota(req, res, 1)) return;
+
+            const streamMode = askStreamMode(req);
+            if (streamMode) {
+                return await streamAsk(req, res, streamMode, { prompt, modelType, fallback: fallbackEnabled(req.body.fallback) });
+            }
+
+            const { data, meta } = await client.ask(prompt, modelType, { cache: cacheEnabled(req), fallback: fallbackEnabled(req.body.fallback) });
+            res.set('X-Cache', meta.cache.toUpperCase());
+            res.json({ status: 200, data, meta });
+        } catch (error) {
+            console.error("Ask error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Conversation sessions: history is stored on disk and replayed to the model on every message
+    sessions ??= new SessionStore({ policy: config.sessions });
+    await sessions.init();
+
+    app.post('/sessions', authenticate, express.json(), async (req, res) => {
+        try {
+            const modelType = client.resolveModel(req.body.model);
+            if (!modelType) {
+                return res.status(400).json({ status: 400, error: invalidModelMessage() });
+            }
+
+            const session = await sessions.create({ model: modelType, title: req.body.title || null, owner: req.apiKey?.id ?? null });
+            res.status(201).json({ status: 201, data: session });
+        } catch (error) {
+            console.error("Session create error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.get('/sessions', authenticate, (req, res) => {
+        res.json({ status: 200, data: sessions.list().filter(session => ownedBy(req, session.owner)) });
+    });
+
+    app.get('/sessions/:id', authenticate, (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session || !ownedBy(req, session.owner)) {
+            return res.status(404).json({ status: 404, error: "Session not found" });
+        }
+        res.json({ status: 200, data: session });
+    });
+
+    app.delete('/sessions/:id', authenticate, async (req, res) => {
+        try {
+            const session = sessions.get(req.params.id);
+            if (!session || !ownedBy(req, session.owner) || !await sessions.remove(session.id)) {
+                return res.status(404).json({ status: 404, error: "Session not found" });
+            }
+            res.json({ status: 200, data: { id: req.params.id, deleted: true } });
+        } catch (error) {
+            console.error("Session delete error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.post('/sessions/:id/messages', authenticate, limiter, express.json(), async (req, res) => {
+        try {
+            const session = sessions.get(req.params.id);
+            if (!session || !ownedBy(req, session.owner)) {
+                return res.status(404).json({ status: 404, error: "Session not found" });
+            }
+
+            const { prompt } = req.body;
+            if (!prompt) {
+                return res.status(400).json({ status: 400, error: "No prompt provided" });
+            }
+            if (!client.resolveModel(session.model)) {
+                return res.status(400).json({ status: 400, error: `Model ${session.model} is no longer available` });
+            }
+            await sessions.withLock(session.id, async () => {
+                // Folding old messages into the summary first is one more model call
+                if (!chargeQuota(req, res, sessions.needsSummary(session) ? 2 : 1)) return;
+                const history = await sessions.history(session, async transcript => {
+                    const { data } = await client.ask(summaryPrompt(transcript), session.model, { cache: false });
+                    return data.response;
+                });
+                const record = async (text, { finishReason = null, usage = null } = {}) => {
+                    await sessions.append(session, [
+                        { role: 'user', content: prompt },
+                        { role: 'assistant', content: text, finishReason, usage }
+                    ]);
+                    return { sessionId: session.id, messageCount: session.messages.length };
+                };
+
+                const streamMode = askStreamMode(req);
+                if (streamMode) {
+                    return streamAsk(req, res, streamMode, {
+                        prompt,
+                        modelType: session.model,
+                        history,
+                        cache: false,
+                        onDone: record
+                    });
+                }
+
+                const { data, meta } = await client.ask(prompt, session.model, { cache: false, history });
+                const sessionMeta = await record(data.response, data);
+                res.json({ status: 200, data, meta: { ...meta, ...sessionMeta } });
+            });
+        } catch (error) {
+            console.error("Session message error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Admin API for client keys, authorized with ADMIN_TOKEN
+    app.post('/admin/keys', requireAdmin, express.json(), async (req, res) => {
+        try {
+            const { key, secret } = await apiKeys.issue(req.body);
+            res.status(201).json({ status: 201, data: { ...key, secret } });
+        } catch (error) {
+            console.error("Key issue error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.get('/admin/keys', requireAdmin, (req, res) => {
+        res.json({
+            status: 200,
+            data: apiKeys.list().map(key => ({ ...publicKey(key), remainingToday: apiKeys.remaining(key) }))
+        });
+    });
+
+    app.get('/admin/keys/:id', requireAdmin, (req, res) => {
+        const key = apiKeys.get(req.params.id);
+        if (!key) {
+            return res.status(404).json({ status: 404, error: "Key not found" });
+        }
+        res.json({ status: 200, data: { ...publicKey(key), remainingToday: apiKeys.remaining(key) } });
+    });
+
+    app.patch('/admin/keys/:id', requireAdmin, express.json(), async (req, res) => {
+        try {
+            const key = await apiKeys.update(req.params.id, req.body);
+            if (!key) {
+                return res.status(404).json({ status: 404, error: "Key not found" });
+            }
+            res.json({ status: 200, data: publicKey(key) });
+        } catch (error) {
+            console.error("Key update error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.delete('/admin/keys/:id', requireAdmin, async (req, res) => {
+        try {
+            const key = await apiKeys.revoke(req.params.id);
+            if (!key) {
+                return res.status(404).json({ status: 404, error: "Key not found" });
+            }
+            res.json({ status: 200, data: publicKey(key) });
+        } catch (error) {
+            console.error("Key revoke error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Prompt templates and their versions; pick one with prompt_version on /analyze
+    app.get('/prompts', authenticate, (req, res) => {
+        res.json({ status: 200, data: client.prompts.list() });
+    });
+
+    // Picks up edited or new template files without a restart
+    app.post('/admin/prompts/reload', requireAdmin, (req, res) => {
+        try {
+            client.prompts.load();
+            res.json({ status: 200, data: client.prompts.list() });
+        } catch (error) {
+            console.error("Prompt reload error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Dictionary built by batch.js (all_dic.json). Words it does not have yet are asked
+    // from the model with the "dictionary" prompt and saved, so each is only asked once.
+    const dictionaryConfig = config.dictionary || {};
+    dictionary ??= new DictionaryStore({ file: env.DICTIONARY_FILE || dictionaryConfig.file || './all_dic.json' });
+    await dictionary.init();
+    const dictionaryLookups = new Map();
+
+    function limitParam(value, max = 100) {
+        const limit = Number(value);
+        return Number.isInteger(limit) && limit > 0 ? Math.min(limit, max) : 20;
+    }
+
+    async function fetchDictionaryEntry(word) {
+        const prompt = client.prompts.render('dictionary', { variables: { words: [word] } });
+        const { data, meta } = await client.ask(prompt.text, dictionaryConfig.model || 'GEMINI', { cache: false });
+        const { value } = extractJson(data.response, { expect: 'array' });
+        const [entry] = reconcileEntries([word], value).accepted;
+        if (!entry) return { entry: null, meta };
+        const [added] = await dictionary.add([{ ...entry, prompt_version: prompt.id }]);
+        return { entry: added, meta };
+    }
+
+    // Concurrent requests for the same new word share one model call
+    function lookupFromModel(word) {
+        const key = word.toLowerCase();
+        if (!dictionaryLookups.has(key)) {
+            dictionaryLookups.set(key, fetchDictionaryEntry(word).finally(() => dictionaryLookups.delete(key)));
+        }
+        return dictionaryLookups.get(key);
+    }
+
+    app.get('/dictionary/words/:word', authenticate, lookupLimiter, async (req, res) => {
+        try {
+            const word = req.params.word.trim();
+            const entry = dictionary.get(word);
+            if (entry) {
+                return res.json({ status: 200, data: entry, meta: { source: 'dictionary' } });
+            }
+            if (dictionaryConfig.onDemand === false || !fallbackEnabled(req.query.fallback) || !/^[A-Za-z][A-Za-z' -]*$/.test(word)) {
+                return res.status(404).json({ status: 404, error: "Word not found in the dictionary" });
+            }
+            if (!chargeQuota(req, res, 1)) return;
+
+            const { entry: fetched, meta } = await lookupFromModel(word);
+            if (!fetched) {
+                return res.status(404).json({ status: 404, error: "The model returned no valid entry for this word" });
+            }
+            res.json({ status: 200, data: fetched, meta: { source: 'model', ...meta } });
+        } catch (error) {
+            console.error("Dictionary lookup error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.get('/dictionary/search', authenticate, lookupLimiter, (req, res) => {
+        const { q, mode = 'prefix' } = req.query;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ status: 400, error: "No query provided" });
+        }
+        const limit = limitParam(req.query.limit);
+        if (mode === 'prefix') {
+            return res.json({ status: 200, data: dictionary.prefixSearch(q, limit) });
+        }
+        if (mode === 'fuzzy') {
+            const matches = dictionary.fuzzySearch(q, limit);
+            return res.json({ status: 200, data: matches.map(({ entry, distance }) => ({ ...entry, distance })) });
+        }
+        res.status(400).json({ status: 400, error: "Invalid mode. Use prefix or fuzzy" });
+    });
+
+    app.get('/dictionary/reverse', authenticate, lookupLimiter, (req, res) => {
+        const { q } = req.query;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ status: 400, error: "No query provided" });
+        }
+        res.json({ status: 200, data: dictionary.reverseLookup(q, limitParam(req.query.limit)) });
+    });
+
+    app.get('/dictionary/words/:word/related', authenticate, lookupLimiter, (req, res) => {
+        const { relation = 'synonyms' } = req.query;
+        if (relation !== 'synonyms' && relation !== 'antonyms') {
+            return res.status(400).json({ status: 400, error: "Invalid relation. Use synonyms or antonyms" });
+        }
+        const depth = Math.min(Number.parseInt(req.query.depth, 10) || 1, 3);
+        const related = dictionary.related(req.params.word, relation, Math.max(depth, 1));
+        if (!related) {
+            return res.status(404).json({ status: 404, error: "Word not found in the dictionary" });
+        }
+        res.json({ status: 200, data: related });
+    });
+
+    // Expiry tracking: items keep the dates read from their label (or typed in) and are
+    // queried by how close they are to expiring
+    inventory ??= new InventoryStore({ expiringDays: config.inventory?.expiringDays });
+    await inventory.init();
+    const itemFields = ['name', 'quantity', 'location', 'notes', 'status', 'barcode', 'production_id', 'production_date', 'expiration_date', 'shelf_life'];
+    const pickItemFields = body => Object.fromEntries(itemFields.filter(field => body?.[field] !== undefined).map(field => [field, body[field]]));
+
+    // ?date= pins "today" and ?days= the expiring window; throws InventoryError on bad values
+    function expiryWindow(query) {
+        const days = query.days === undefined ? inventory.expiringDays : Number(query.days);
+        if (!Number.isInteger(days) || days < 0) throw new InventoryError("days must be a whole number of at least 0");
+        return { days, day: query.date ? parseDay(query.date) : undefined };
+    }
+
+    function findItem(req, res) {
+        const item = inventory.get(req.params.id);
+        if (!item || !ownedBy(req, item.owner)) {
+            res.status(404).json({ status: 404, error: "Item not found" });
+            return null;
+        }
+        return item;
+    }
+
+    app.post('/inventory/items', authenticate, express.json(), async (req, res) => {
+        try {
+            const { item, warnings } = await inventory.create(pickItemFields(req.body), { owner: req.apiKey?.id ?? null });
+            res.status(201).json({ status: 201, data: { ...item, expiry: inventory.expiry(item) }, warnings });
+        } catch (error) {
+            console.error("Inventory create error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // A label photo straight into stock: the analysis fills the dates, barcode and batch number
+    app.post('/inventory/scan', authenticate, limiter, upload.single('image'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ status: 400, error: "No image file provided" });
+            }
+            if (!req.body.name) {
+                return res.status(400).json({ status: 400, error: "name is required" });
+            }
+            const modelType = client.resolveModel(req.body.model);
+            if (!modelType) {
+                return res.status(400).json({ status: 400, error: invalidModelMessage() });
+            }
+            let options;
+            try {
+                options = client.analysisOptions(req.body, modelType);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: error.message });
+            }
+            if (!chargeQuota(req, res, client.analysisCalls(options.profile))) return;
+
+            const { data, warnings: analysisWarnings, meta } = await client.analyzeImage(req.file.buffer, modelType, { ...options, cache: cacheEnabled(req) });
+            const { item, warnings } = await inventory.create({
+                ...pickItemFields(req.body),
+                production_date: data.production_date,
+                // A derived expiration date is derived again from the shelf life, and marked as such
+                expiration_date: data.derived_fields.includes('expiration_date') ? null : data.expiration_date,
+                shelf_life: data.shelf_life,
+                barcode: req.body.barcode || data.barcode,
+                production_id: req.body.production_id || data.production_id
+            }, {
+                owner: req.apiKey?.id ?? null,
+                source: { model: meta.model, promptVersion: meta.promptVersion, analyzedAt: new Date().toISOString(), warnings: analysisWarnings }
+            });
+            res.status(201).json({ status: 201, data: { ...item, expiry: inventory.expiry(item) }, warnings, meta });
+        } catch (error) {
+            console.error("Inventory scan error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.get('/inventory/items', authenticate, (req, res) => {
+        try {
+            const { state, status = ItemStatus.ACTIVE, q } = req.query;
+            if (state && !Object.values(ExpiryState).includes(state)) {
+                return res.status(400).json({ status: 400, error: `Invalid state. Use ${Object.values(ExpiryState).join(', ')}` });
+            }
+            if (status !== 'all' && !Object.values(ItemStatus).includes(status)) {
+                return res.status(400).json({ status: 400, error: `Invalid status. Use ${Object.values(ItemStatus).join(', ')} or all` });
+            }
+            const items = inventory.list({
+                owner: req.apiKey ? req.apiKey.id : undefined,
+                status: status === 'all' ? null : status,
+                state,
+                q,
+                ...expiryWindow(req.query)
+            });
+            res.json({ status: 200, data: items });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    app.get('/inventory/items/:id', authenticate, (req, res) => {
+        const item = findItem(req, res);
+        if (item) res.json({ status: 200, data: { ...item, expiry: inventory.expiry(item) } });
+    });
+
+    app.patch('/inventory/items/:id', authenticate, express.json(), async (req, res) => {
+        try {
+            if (!findItem(req, res)) return;
+            const { item, warnings } = await inventory.update(req.params.id, pickItemFields(req.body));
+            res.json({ status: 200, data: { ...item, expiry: inventory.expiry(item) }, warnings });
+        } catch (error) {
+            console.error("Inventory update error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.delete('/inventory/items/:id', authenticate, async (req, res) => {
+        try {
+            if (!findItem(req, res)) return;
+            await inventory.remove(req.params.id);
+            res.json({ status: 200, data: { id: req.params.id, deleted: true } });
+        } catch (error) {
+            console.error("Inventory delete error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Daily digest of active stock: expired, expiring today, expiring within ?days=
+    app.get('/inventory/digest', authenticate, (req, res) => {
+        try {
+            res.json({ status: 200, data: inventory.digest({ owner: req.apiKey ? req.apiKey.id : undefined, ...expiryWindow(req.query) }) });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Ground truth reviewed in the console, stored as an evaluation dataset (see evaluate.js)
+    labels ??= new LabelStore();
+    await labels.init();
+
+    app.post('/labels', authenticate, upload.single('image'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ status: 400, error: "No image file provided" });
+            }
+            let fields;
+            let predictions = null;
+            try {
+                fields = JSON.parse(req.body.fields || 'null');
+                if (req.body.predictions) predictions = JSON.parse(req.body.predictions);
+            } catch (error) {
+                return res.status(400).json({ status: 400, error: "fields and predictions must be JSON" });
+            }
+            const item = await labels.add({
+                image: req.file.buffer,
+                mimeType: req.file.mimetype,
+                fields,
+                predictions,
+                owner: req.apiKey?.id ?? null
+            });
+            res.status(201).json({ status: 201, data: item });
+        } catch (error) {
+            console.error("Label save error:", error);
+            sendError(res, error);
+        }
+    });
+
+    app.get('/labels', authenticate, (req, res) => {
+        res.json({ status: 200, data: labels.list().filter(item => ownedBy(req, item.owner)) });
+    });
+
+    app.delete('/labels/:id', authenticate, async (req, res) => {
+        try {
+            const item = labels.get(req.params.id);
+            if (!item || !ownedBy(req, item.owner) || !await labels.remove(item.id)) {
+                return res.status(404).json({ status: 404, error: "Label not found" });
+            }
+            res.json({ status: 200, data: { id: item.id, deleted: true } });
+        } catch (error) {
+            console.error("Label delete error:", error);
+            sendError(res, error);
+        }
+    });
+
+    // Usage of the calling key
+    app.get('/usage', authenticate, (req, res) => {
+        if (!req.apiKey) {
+            return res.status(400).json({ status: 400, error: "Authentication is disabled" });
+        }
+        const { name, prefix, rateLimit, dailyQuota, usage } = req.apiKey;
+        res.json({ status: 200, data: { name, prefix, rateLimit, dailyQuota, remainingToday: apiKeys.remaining(req.apiKey), usage } });
+    });
+
+    // Upload and body parsing errors become JSON 4xx answers instead of the default HTML 500
+    app.use((error, req, res, next) => {
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ status, error: error.message });
+        }
+        if (error.status >= 400 && error.status < 500) {
+            return res.status(error.status).json({ status: error.status, error: error.message });
+        }
+        next(error);
+    });
+
+    return { app, client, apiKeys, jobs, sessions, dictionary, inventory, labels };
+}
@@ -0,0 +1,25 @@
+// Retail barcodes (GTIN family) as printed under the bars.
+// A barcode is normalized to { value, format, valid } with value the digits only.
+
+const formats = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13', 14: 'GTIN-14' };
+
+// Mod-10 check digit: weights 3 and 1 alternate from the right, starting next to the check digit
+export function gtinCheckDigit(digits) {
+    let sum = 0;
+    for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+        sum += Number(digits[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+// Accepts "6901234567892", "6 901234 567892" or a number; returns null when it is no GTIN length
+export function parseBarcode(input) {
+    if (input === null || input === undefined || input === '') return null;
+    const value = String(input).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(value) || !formats[value.length]) return null;
+    return {
+        value,
+        format: formats[value.length],
+        valid: gtinCheckDigit(value.slice(0, -1)) === Number(value.at(-1))
+    };
+}
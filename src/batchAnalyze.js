@@ -0,0 +1,166 @@
+import path from 'path';
+import zlib from 'zlib';
+import { constants as bufferConstants } from 'buffer';
+import AdmZip from 'adm-zip';
+import multer from 'multer';
+import { mapWithConcurrency } from './concurrency.js';
+import { toCsv } from './csv.js';
+
+const imageExtensions = /\.(jpe?g|png|webp|gif|bmp|tiff?|avif|heic)$/i;
+
+function tooLarge(message) {
+    const error = new Error(message);
+    error.status = 413;
+    return error;
+}
+
+// Multer memory storage with a size limit per field and one for the whole request:
+// archives may be large, but many images must not add up to more than totalBytes
+export function limitedMemoryStorage({ fieldBytes = {}, totalBytes = Infinity } = {}) {
+    return {
+        _handleFile(req, file, cb) {
+            const limit = fieldBytes[file.fieldname] ?? Infinity;
+            const chunks = [];
+            let size = 0;
+            let failed = false;
+            const fail = error => {
+                failed = true;
+                chunks.length = 0;
+                file.stream.resume();
+                cb(error);
+            };
+
+            file.stream.on('data', chunk => {
+                if (failed) return;
+                size += chunk.length;
+                req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+                if (size > limit) return fail(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+                if (req.uploadedBytes > totalBytes) return fail(tooLarge(`Upload exceeds ${totalBytes} bytes in total`));
+                chunks.push(chunk);
+            });
+            file.stream.on('error', error => {
+                if (!failed) fail(error);
+            });
+            file.stream.on('end', () => {
+                if (!failed) cb(null, { buffer: Buffer.concat(chunks, size), size });
+            });
+        },
+        _removeFile(req, file, cb) {
+            delete file.buffer;
+            cb(null);
+        }
+    };
+}
+
+// Unpacks one entry without trusting its header: the declared size can be anything (even 0),
+// so inflation stops as soon as the output passes maxBytes
+function unpackEntry(entry, maxBytes) {
+    const { method, encrypted, crc } = entry.header;
+    if (encrypted) throw new Error(`ZIP entry ${entry.entryName} is encrypted`);
+
+    const data = entry.getCompressedData();
+    let unpacked;
+    if (method === 0) {
+        unpacked = data;
+    } else if (method === 8) {
+        try {
+            unpacked = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, Math.min(maxBytes, bufferConstants.MAX_LENGTH)) });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') unpacked = null;
+            else throw new Error(`Invalid ZIP archive: ${entry.entryName} ${error.message}`);
+        }
+    } else {
+        throw new Error(`ZIP entry ${entry.entryName} uses an unsupported compression method (${method})`);
+    }
+
+    if (!unpacked || unpacked.length > maxBytes) return null;
+    if (zlib.crc32(unpacked) !== crc) throw new Error(`Invalid ZIP archive: ${entry.entryName} fails its CRC check`);
+    return unpacked;
+}
+
+// Pulls the image entries out of a ZIP upload, skipping folders and macOS metadata.
+// The declared sizes are checked first to refuse obvious bombs cheaply, then every entry is
+// unpacked under the per-file and remaining total limits, so a small archive cannot expand
+// into gigabytes whatever its headers say.
+export function extractZipImages(buffer, { maxFiles, maxFileBytes = Infinity, maxTotalBytes = Infinity }) {
+    let entries;
+    try {
+        entries = new AdmZip(buffer).getEntries();
+    } catch (error) {
+        throw new Error(`Invalid ZIP archive: ${error.message}`);
+    }
+
+    const images = entries
+        .filter(entry => !entry.isDirectory)
+        .filter(entry => !entry.entryName.startsWith('__MACOSX/') && !path.basename(entry.entryName).startsWith('.'))
+        .filter(entry => imageExtensions.test(entry.entryName));
+
+    if (images.length > maxFiles) {
+        throw new Error(`ZIP archive contains ${images.length} images, the limit is ${maxFiles}`);
+    }
+    const oversized = images.find(entry => entry.header.size > maxFileBytes);
+    if (oversized) {
+        throw tooLarge(`ZIP entry ${oversized.entryName} unpacks to ${oversized.header.size} bytes, the limit is ${maxFileBytes}`);
+    }
+    const declaredBytes = images.reduce((total, entry) => total + entry.header.size, 0);
+    if (declaredBytes > maxTotalBytes) {
+        throw tooLarge(`ZIP archive unpacks to ${declaredBytes} bytes, the limit is ${maxTotalBytes}`);
+    }
+
+    let totalBytes = 0;
+    return images.map(entry => {
+        const remaining = maxTotalBytes - totalBytes;
+        const unpacked = unpackEntry(entry, Math.min(maxFileBytes, remaining));
+        if (!unpacked) {
+            throw tooLarge(remaining < maxFileBytes
+                ? `ZIP archive unpacks to more than ${maxTotalBytes} bytes`
+                : `ZIP entry ${entry.entryName} unpacks to more than ${maxFileBytes} bytes`);
+        }
+        totalBytes += unpacked.length;
+        return { name: entry.entryName, buffer: unpacked };
+    });
+}
+
+// Analyzes every file, one failing file never fails the batch
+export async function analyzeBatch(client, files, { model, options = {}, concurrency = 3 }) {
+    return mapWithConcurrency(files, concurrency, async ({ name, buffer }) => {
+        const startedAt = Date.now();
+        try {
+            const { data, warnings, meta } = await client.analyzeImage(buffer, model, options);
+            return { file: name, status: 'ok', data, warnings, meta, error: null, durationMs: Date.now() - startedAt };
+        } catch (error) {
+            return { file: name, status: 'error', data: null, warnings: [], meta: null, error: { message: error.message }, durationMs: Date.now() - startedAt };
+        }
+    });
+}
+
+export function summarizeBatch(results) {
+    const succeeded = results.filter(result => result.status === 'ok').length;
+    return { total: results.length, succeeded, failed: results.length - succeeded };
+}
+
+const csvColumns = [
+    'file', 'status', 'production_date', 'expiration_date', 'production_id',
+    'shelf_life', 'derived_fields', 'barcode', 'net_content', 'storage_conditions', 'manufacturer',
+    'additional_info', 'warnings', 'error', 'duration_ms'
+];
+
+export function batchToCsv(results) {
+    return toCsv(csvColumns, results.map(result => ({
+        file: result.file,
+        status: result.status,
+        production_date: result.data?.production_date,
+        expiration_date: result.data?.expiration_date,
+        production_id: result.data?.production_id,
+        shelf_life: result.data?.shelf_life?.text,
+        derived_fields: result.data?.derived_fields?.join(';'),
+        barcode: result.data?.barcode,
+        net_content: result.data?.net_content,
+        storage_conditions: result.data?.storage_conditions,
+        manufacturer: result.data?.manufacturer,
+        additional_info: result.data?.additional_info,
+        warnings: result.warnings.map(({ field, code }) => field ? `${field}:${code}` : code).join(';'),
+        error: result.error?.message,
+        duration_ms: result.durationMs
+    })));
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+export function hashKey(...parts) {
+    const hash = crypto.createHash('sha256');
+    for (const part of parts) {
+        hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+
+// In-memory LRU cache with a TTL, used for model results.
+// Values are cloned on the way in and out so callers can't mutate cached results.
+export class ResultCache {
+    constructor({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 1000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.bypassed = 0;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return structuredClone(entry.value);
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + this.ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Counts a request that opted out of the cache
+    skip() {
+        this.bypassed++;
+    }
+
+    // Returns [value, 'hit' | 'miss' | 'bypass']; only successful results are stored
+    async wrap(key, enabled, compute) {
+        if (!enabled) {
+            this.skip();
+            return [await compute(), 'bypass'];
+        }
+        const cached = this.get(key);
+        if (cached !== undefined) return [cached, 'hit'];
+
+        const value = await compute();
+        this.set(key, value);
+        return [value, 'miss'];
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            hits: this.hits,
+            misses: this.misses,
+            bypassed: this.bypassed,
+            hitRate: lookups ? this.hits / lookups : 0
+        };
+    }
+}
+
+// Clients opt out with "Cache-Control: no-cache" / "no-store" or "X-Cache-Bypass: 1"
+export function cacheEnabled(req) {
+    const cacheControl = req.get('cache-control') || '';
+    return !/no-cache|no-store/i.test(cacheControl) && !['1', 'true'].includes(req.get('x-cache-bypass'));
+}
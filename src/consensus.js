@@ -0,0 +1,92 @@
+// Aggregates the per-model results of /compareAnalyze into one answer.
+// results: [{ model, data, error }] in model order; failed models have data === null.
+
+export const ConsensusStrategy = {
+    MAJORITY: 'majority',
+    PREFERRED: 'preferred',
+    FIRST_NON_NULL: 'first_non_null'
+};
+
+export const consensusFields = ['production_date', 'expiration_date', 'production_id', 'shelf_life', 'barcode'];
+
+// Values are compared by key so that objects like shelf_life can be voted on
+function valueKey(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return value.value !== undefined && value.unit ? `${value.value} ${value.unit}` : JSON.stringify(value);
+    return String(value);
+}
+
+function pickMajority(candidates) {
+    const groups = new Map();
+    for (const candidate of candidates) {
+        if (candidate.key === null) continue;
+        if (!groups.has(candidate.key)) groups.set(candidate.key, []);
+        groups.get(candidate.key).push(candidate);
+    }
+    // Map keeps insertion order, so ties go to the earliest model
+    let best = null;
+    for (const group of groups.values()) {
+        if (!best || group.length > best.length) best = group;
+    }
+    return best ? best[0] : null;
+}
+
+function pickInOrder(candidates, order) {
+    const ranked = [...candidates].sort((a, b) => rank(order, a.model) - rank(order, b.model));
+    return ranked.find(candidate => candidate.key !== null) || null;
+}
+
+function rank(order, model) {
+    const index = order.indexOf(model);
+    return index === -1 ? order.length : index;
+}
+
+function checkStrategy(strategy) {
+    if (!Object.values(ConsensusStrategy).includes(strategy)) {
+        throw new Error(`Unknown consensus strategy: ${strategy}. Use ${Object.values(ConsensusStrategy).join(', ')}`);
+    }
+}
+
+// Merges request options ({ strategy, preferred: "A,B" | [...] }) with configured defaults
+export function consensusOptions({ strategy, preferred } = {}, defaults = {}) {
+    strategy = strategy || defaults.strategy || ConsensusStrategy.MAJORITY;
+    checkStrategy(strategy);
+
+    if (typeof preferred === 'string') preferred = preferred.split(',');
+    preferred = Array.isArray(preferred) && preferred.length
+        ? preferred.map(id => String(id).trim().toUpperCase()).filter(Boolean)
+        : defaults.preferred || [];
+    return { strategy, preferred };
+}
+
+export function buildConsensus(results, { strategy = ConsensusStrategy.MAJORITY, preferred = [], fields = consensusFields } = {}) {
+    checkStrategy(strategy);
+
+    const succeeded = results.filter(result => !result.error && result.data);
+    const consensus = { strategy, models: succeeded.map(({ model }) => model), fields: {} };
+
+    for (const field of fields) {
+        const candidates = succeeded.map(({ model, data }) => ({ model, value: data[field] ?? null, key: valueKey(data[field]) }));
+
+        let chosen;
+        if (strategy === ConsensusStrategy.MAJORITY) {
+            chosen = pickMajority(candidates);
+        } else if (strategy === ConsensusStrategy.PREFERRED) {
+            chosen = pickInOrder(candidates, preferred);
+        } else {
+            chosen = pickInOrder(candidates, []);
+        }
+
+        const key = chosen ? chosen.key : null;
+        const agreeing = candidates.filter(candidate => candidate.key === key).map(({ model }) => model);
+        consensus.fields[field] = {
+            value: chosen ? chosen.value : null,
+            model: chosen ? chosen.model : null,
+            agreement: candidates.length ? agreeing.length / candidates.length : 0,
+            agreeing,
+            disagreeing: candidates.filter(candidate => candidate.key !== key).map(({ model, value }) => ({ model, value }))
+        };
+    }
+
+    return consensus;
+}
@@ -0,0 +1,23 @@
+// Minimal RFC 4180 CSV writer
+
+export function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheets run a cell that starts with one of these as a formula, so text from a model
+// gets a leading ' (OWASP CSV injection). Numbers are written as they are.
+const formulaStart = /^[=+\-@\t\r]/;
+
+function spreadsheetCell(value) {
+    return typeof value === 'string' && formulaStart.test(value) ? csvCell(`'${value}`) : csvCell(value);
+}
+
+export function toCsv(columns, rows) {
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => spreadsheetCell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
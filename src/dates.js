@@ -0,0 +1,74 @@
+// Date parsing / validation for extracted label dates.
+// Every date leaving the service is formatted as YYYY.MM.DD.
+
+const patterns = [
+    // 2024.08.20, 2024/08/20, 2024-08-20, 2024 08 20 (optionally followed by a time)
+    { regex: /^(\d{4})\s*[./\-\s]\s*(\d{1,2})\s*[./\-\s]\s*(\d{1,2})(?:[T\s].*)?$/, order: 'ymd' },
+    // 2024年8月20日
+    { regex: /^(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日?$/, order: 'ymd' },
+    // 20240820
+    { regex: /^(\d{4})(\d{2})(\d{2})$/, order: 'ymd' },
+    // 24.08.20, 24/08/20, 24-08-20 (two digit year first, as the prompt asks for Y-M-D)
+    { regex: /^(\d{2})\s*[./\-]\s*(\d{1,2})\s*[./\-]\s*(\d{1,2})$/, order: 'yymd' },
+    // 24年8月20日
+    { regex: /^(\d{2})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日?$/, order: 'yymd' },
+    // 240820
+    { regex: /^(\d{2})(\d{2})(\d{2})$/, order: 'yymd' },
+];
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Years a label date can plausibly have, anything else is a misread
+const minYear = 1900;
+const maxYear = 2100;
+
+export function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function formatDate({ year, month, day }) {
+    return `${pad(year, 4)}.${pad(month)}.${pad(day)}`;
+}
+
+export function toUTCDate({ year, month, day }) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+export function fromUTCDate(date) {
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// Returns { year, month, day } or { error } describing why the value was rejected
+export function parseDate(value) {
+    if (typeof value !== 'string') {
+        return { error: 'invalid_type' };
+    }
+    const text = value.trim();
+
+    for (const { regex, order } of patterns) {
+        const match = text.match(regex);
+        if (!match) continue;
+
+        let [, year, month, day] = match.map(Number);
+        if (order === 'yymd') year += 2000;
+
+        if (year < minYear || year > maxYear) {
+            return { error: 'implausible_year' };
+        }
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+            return { error: 'impossible_date' };
+        }
+        return { year, month, day };
+    }
+    return { error: 'unrecognized_format' };
+}
+
+// Normalizes a date string to YYYY.MM.DD, null when it cannot be parsed
+export function normalizeDate(value) {
+    const parsed = parseDate(value);
+    return parsed.error ? null : formatDate(parsed);
+}
+
+export function compareDates(a, b) {
+    return toUTCDate(a) - toUTCDate(b);
+}
@@ -0,0 +1,271 @@
+import { readJson, serialWriter } from './fileStore.js';
+
+// Dictionary entries as produced by the "dictionary" prompt:
+//   { word, suggested?, phonetic, translation, description, synonyms, antonyms, examples: [{ en, zh }] }
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isTextList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Required fields reject the entry (the word is asked again), optional ones may be null
+const requiredFields = {
+    word: isText,
+    translation: isText,
+    phonetic: isText,
+    examples: value => Array.isArray(value) && value.length > 0
+};
+
+const optionalFields = {
+    suggested: isText,
+    description: value => typeof value === 'string',
+    synonyms: isTextList,
+    antonyms: isTextList
+};
+
+export const dictionaryFields = [...Object.keys(requiredFields), ...Object.keys(optionalFields)];
+
+// Returns { valid, issues: [{ field, code, message }] }
+export function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { valid: false, issues: [{ field: null, code: 'invalid_entry', message: 'Entry is not an object' }] };
+    }
+
+    const issues = [];
+    for (const [field, check] of Object.entries(requiredFields)) {
+        if (entry[field] === undefined || entry[field] === null) {
+            issues.push({ field, code: 'missing_field', message: `${field} is required` });
+        } else if (!check(entry[field])) {
+            issues.push({ field, code: 'invalid_value', message: `${field} has an invalid value` });
+        }
+    }
+    for (const [field, check] of Object.entries(optionalFields)) {
+        if (entry[field] !== undefined && entry[field] !== null && !check(entry[field])) {
+            issues.push({ field, code: 'invalid_value', message: `${field} has an invalid value` });
+        }
+    }
+    if (Array.isArray(entry.examples)) {
+        entry.examples.forEach((example, index) => {
+            if (!isText(example?.en) || !isText(example?.zh)) {
+                issues.push({ field: `examples[${index}]`, code: 'invalid_example', message: 'Examples need "en" and "zh" text' });
+            }
+        });
+    }
+    return { valid: issues.length === 0, issues };
+}
+
+const wordKey = word => word.trim().toLowerCase();
+
+// Matches a model answer back to the requested words:
+//   accepted     valid entries, one per requested word
+//   missing      requested words without an entry
+//   invalid      [{ word, issues }] requested words whose entries failed validation
+//   extra        words the model answered without being asked
+//   duplicates   requested words answered more than once (the first valid entry is kept)
+//   suggestions  [{ word, suggested }] corrections for ALL-CAPS or misspelled words
+export function reconcileEntries(words, entries) {
+    const requested = new Map(words.map(word => [wordKey(word), word]));
+    const accepted = new Map();
+    const invalid = new Map();
+    const seen = new Set();
+    const extra = [];
+    const duplicates = new Set();
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        const key = isText(entry?.word) ? wordKey(entry.word) : null;
+        if (!key || !requested.has(key)) {
+            if (key) extra.push(entry.word);
+            continue;
+        }
+        if (seen.has(key)) duplicates.add(requested.get(key));
+        seen.add(key);
+        if (accepted.has(key)) continue;
+
+        const { valid, issues } = validateEntry(entry);
+        if (valid) {
+            // The entry carries the word as it was requested
+            accepted.set(key, { ...entry, word: requested.get(key) });
+            invalid.delete(key);
+        } else if (!invalid.has(key)) {
+            invalid.set(key, { word: requested.get(key), issues });
+        }
+    }
+
+    const suggestions = [...accepted.values()]
+        .filter(entry => isText(entry.suggested) && entry.suggested !== entry.word)
+        .map(({ word, suggested }) => ({ word, suggested }));
+
+    return {
+        accepted: [...accepted.values()],
+        missing: words.filter(word => !seen.has(wordKey(word))),
+        invalid: [...invalid.values()],
+        extra,
+        duplicates: [...duplicates],
+        suggestions
+    };
+}
+
+const ratio = (count, total) => total ? Number((count / total).toFixed(4)) : null;
+
+// Quality of a finished dictionary. statusCounts is { succeeded, missing, invalid, failed, ... }
+// for the requested words, suggestions the collected corrections.
+export function dictionaryReport(entries, { requested = entries.length, statusCounts = {}, suggestions = [] } = {}) {
+    const issueCounts = {};
+    let withIssues = 0;
+    for (const entry of entries) {
+        const { issues } = validateEntry(entry);
+        if (issues.length) withIssues++;
+        for (const { field, code } of issues) {
+            const key = `${field?.replace(/\[\d+\]$/, '[]') ?? 'entry'}:${code}`;
+            issueCounts[key] = (issueCounts[key] || 0) + 1;
+        }
+    }
+
+    const count = predicate => entries.filter(predicate).length;
+    const exampleCounts = entries.map(entry => Array.isArray(entry.examples) ? entry.examples.length : 0);
+    return {
+        requested,
+        entries: entries.length,
+        coverage: ratio(entries.length, requested),
+        status: statusCounts,
+        entriesWithIssues: withIssues,
+        issues: issueCounts,
+        completeness: {
+            phonetic: ratio(count(entry => isText(entry.phonetic)), entries.length),
+            description: ratio(count(entry => isText(entry.description)), entries.length),
+            synonyms: ratio(count(entry => entry.synonyms?.length > 0), entries.length),
+            antonyms: ratio(count(entry => entry.antonyms?.length > 0), entries.length),
+            examplesPerEntry: entries.length ? Number((exampleCounts.reduce((sum, n) => sum + n, 0) / entries.length).toFixed(2)) : null
+        },
+        suggestions
+    };
+}
+
+// Edit distance with an early exit once every path exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// The generated dictionary (all_dic.json) kept in memory with lookup indexes.
+// Entries added at runtime are written back to the same file.
+export class DictionaryStore {
+    constructor({ file = process.env.DICTIONARY_FILE || './all_dic.json' } = {}) {
+        this.file = file;
+        this.entries = new Map();
+        this.sortedKeys = [];
+        this.write = serialWriter(file);
+    }
+
+    async init() {
+        const entries = await readJson(this.file, []);
+        for (const entry of Array.isArray(entries) ? entries : []) {
+            if (isText(entry?.word)) this.entries.set(wordKey(entry.word), entry);
+        }
+        this.sortedKeys = [...this.entries.keys()].sort();
+        return this;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(word) {
+        return this.entries.get(wordKey(word)) || null;
+    }
+
+    // Words starting with `prefix`, alphabetically
+    prefixSearch(prefix, limit = 20) {
+        const key = wordKey(prefix);
+        const results = [];
+        for (let i = this.prefixIndex(key); i < this.sortedKeys.length && results.length < limit && this.sortedKeys[i].startsWith(key); i++) {
+            results.push(this.entries.get(this.sortedKeys[i]));
+        }
+        return results;
+    }
+
+    // Closest words by edit distance, for typos: [{ entry, distance }]
+    fuzzySearch(query, limit = 20, maxDistance = 2) {
+        const key = wordKey(query);
+        const matches = [];
+        for (const candidate of this.sortedKeys) {
+            const distance = editDistance(key, candidate, maxDistance);
+            if (distance <= maxDistance) matches.push({ entry: this.entries.get(candidate), distance });
+        }
+        return matches.sort((a, b) => a.distance - b.distance).slice(0, limit);
+    }
+
+    // Entries whose Chinese translation contains `text`; exact translations first
+    reverseLookup(text, limit = 20) {
+        const query = text.trim();
+        const matches = [];
+        for (const entry of this.entries.values()) {
+            if (typeof entry.translation !== 'string' || !entry.translation.includes(query)) continue;
+            const senses = entry.translation.split(/[,，;；、\/]/).map(sense => sense.trim());
+            matches.push({ entry, exact: senses.includes(query) });
+        }
+        return matches
+            .sort((a, b) => Number(b.exact) - Number(a.exact) || a.entry.word.length - b.entry.word.length)
+            .slice(0, limit)
+            .map(({ entry }) => entry);
+    }
+
+    // Breadth-first walk over synonyms or antonyms:
+    // [{ word, depth, via, inDictionary }], the starting word is not included
+    related(word, relation = 'synonyms', depth = 1) {
+        const start = this.get(word);
+        if (!start) return null;
+        const visited = new Set([wordKey(start.word)]);
+        const results = [];
+        let frontier = [start];
+        for (let level = 1; level <= depth && frontier.length; level++) {
+            const next = [];
+            for (const entry of frontier) {
+                for (const related of Array.isArray(entry[relation]) ? entry[relation] : []) {
+                    if (!isText(related) || visited.has(wordKey(related))) continue;
+                    visited.add(wordKey(related));
+                    const relatedEntry = this.get(related);
+                    results.push({ word: related, depth: level, via: entry.word, inDictionary: Boolean(relatedEntry) });
+                    if (relatedEntry) next.push(relatedEntry);
+                }
+            }
+            frontier = next;
+        }
+        return results;
+    }
+
+    // Adds valid entries and saves the dictionary; returns the entries that were added
+    async add(entries) {
+        const added = entries.filter(entry => validateEntry(entry).valid);
+        for (const entry of added) {
+            const key = wordKey(entry.word);
+            if (!this.entries.has(key)) this.sortedKeys.splice(this.prefixIndex(key), 0, key);
+            this.entries.set(key, entry);
+        }
+        if (added.length) {
+            await this.write([...this.entries.values()]);
+        }
+        return added;
+    }
+
+    // Position of `key` in the sorted word list
+    prefixIndex(key) {
+        let low = 0;
+        let high = this.sortedKeys.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedKeys[middle] < key) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+}
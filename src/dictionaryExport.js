@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { csvCell } from './csv.js';
+import { validateEntry } from './dictionary.js';
+
+// Turns dictionary entries (all_dic.json) into files other tools read directly:
+//   anki      <name>.anki.tsv (or .csv), a note per word with Anki's import header lines
+//   stardict  <name>.ifo/.idx/.dict for GoldenDict, KOReader and other offline readers
+//   sqlite    <name>.sqlite with full-text search tables
+
+export const exportFormats = ['anki', 'stardict', 'sqlite'];
+
+export const ankiFields = ['Word', 'Phonetic', 'Translation', 'Description', 'Synonyms', 'Antonyms', 'Examples'];
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const textList = value => Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+const examplesOf = entry => Array.isArray(entry.examples) ? entry.examples.filter(example => example?.en || example?.zh) : [];
+
+function examplesHtml(entry) {
+    const items = examplesOf(entry).map(({ en, zh }) => `<li>${escapeHtml(en ?? '')}<br>${escapeHtml(zh ?? '')}</li>`);
+    return items.length ? `<ul>${items.join('')}</ul>` : '';
+}
+
+// Definition shown by dictionary readers, the headword itself is displayed by the reader
+export function entryHtml(entry) {
+    const parts = [];
+    if (entry.phonetic) parts.push(`<span class="phonetic">${escapeHtml(entry.phonetic)}</span>`);
+    if (entry.translation) parts.push(`<b>${escapeHtml(entry.translation)}</b>`);
+    if (entry.description) parts.push(`<p>${escapeHtml(entry.description)}</p>`);
+    const synonyms = textList(entry.synonyms);
+    const antonyms = textList(entry.antonyms);
+    if (synonyms.length) parts.push(`<p>近义词: ${synonyms.map(escapeHtml).join(', ')}</p>`);
+    if (antonyms.length) parts.push(`<p>反义词: ${antonyms.map(escapeHtml).join(', ')}</p>`);
+    const examples = examplesHtml(entry);
+    if (examples) parts.push(examples);
+    return parts.join('<br>');
+}
+
+// Entries worth exporting: valid ones, first entry per word (case-insensitive)
+export function exportableEntries(entries) {
+    const seen = new Set();
+    const kept = [];
+    let skipped = 0;
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        const key = typeof entry?.word === 'string' ? entry.word.trim().toLowerCase() : '';
+        if (!key || seen.has(key) || !validateEntry(entry).valid) {
+            skipped++;
+            continue;
+        }
+        seen.add(key);
+        kept.push(entry);
+    }
+    return { entries: kept, skipped };
+}
+
+// Anki reads "#key:value" header lines (Anki 2.1.55+): notes get the fields in ankiFields
+// order and land in the deck `name`. Fields are HTML, so line breaks become <br>.
+export function toAnki(entries, { name, separator = 'tab' } = {}) {
+    const fields = entry => [
+        escapeHtml(entry.word),
+        escapeHtml(entry.phonetic ?? ''),
+        escapeHtml(entry.translation ?? ''),
+        escapeHtml(entry.description ?? ''),
+        textList(entry.synonyms).map(escapeHtml).join(', '),
+        textList(entry.antonyms).map(escapeHtml).join(', '),
+        examplesHtml(entry)
+    ].map(field => field.replace(/\r?\n/g, '<br>'));
+
+    const tsv = separator === 'tab';
+    const header = [
+        `#separator:${tsv ? 'Tab' : 'Comma'}`,
+        '#html:true',
+        `#columns:${ankiFields.join(tsv ? '\t' : ',')}`,
+        ...(name ? [`#deck:${name}`] : [])
+    ];
+    const rows = entries.map(entry => tsv
+        ? fields(entry).map(field => field.replace(/\t/g, ' ')).join('\t')
+        : fields(entry).map(csvCell).join(','));
+    return [...header, ...rows].join('\n') + '\n';
+}
+
+// StarDict orders the index like stardict_strcmp: ASCII case-insensitive, then byte order
+function stardictCompare(a, b) {
+    const lower = byte => byte >= 0x41 && byte <= 0x5a ? byte + 0x20 : byte;
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const diff = lower(a[i]) - lower(b[i]);
+        if (diff) return diff;
+    }
+    return a.length - b.length || Buffer.compare(a, b);
+}
+
+// StarDict 2.4.2 files with one HTML article per word (sametypesequence=h):
+// .dict holds the articles, .idx the sorted words with their 32-bit offset and size
+export function toStarDict(entries, { name }) {
+    const articles = entries
+        .map(entry => ({ word: Buffer.from(entry.word.trim(), 'utf-8'), html: Buffer.from(entryHtml(entry), 'utf-8') }))
+        .sort((a, b) => stardictCompare(a.word, b.word));
+
+    const dictParts = [];
+    const idxParts = [];
+    let offset = 0;
+    for (const { word, html } of articles) {
+        const position = Buffer.alloc(8);
+        position.writeUInt32BE(offset, 0);
+        position.writeUInt32BE(html.length, 4);
+        idxParts.push(word, Buffer.from([0]), position);
+        dictParts.push(html);
+        offset += html.length;
+    }
+    if (offset > 0xffffffff) throw new Error('Dictionary too large for 32-bit StarDict offsets');
+
+    const idx = Buffer.concat(idxParts);
+    const ifo = [
+        "StarDict's dict ifo file",
+        'version=2.4.2',
+        `bookname=${name.replace(/\r?\n/g, ' ')}`,
+        `wordcount=${articles.length}`,
+        `idxfilesize=${idx.length}`,
+        'sametypesequence=h',
+        `date=${new Date().toISOString().slice(0, 10)}`,
+        'description=English-Chinese dictionary generated by batch.js'
+    ].join('\n') + '\n';
+    return { ifo, idx, dict: Buffer.concat(dictParts) };
+}
+
+// SQLite database:
+//   entries(id, word, suggested, phonetic, translation, description, prompt_version)
+//   relations(entry_id, relation, word)        synonyms and antonyms
+//   examples(entry_id, position, en, zh)
+//   entries_fts      English full text: SELECT rowid FROM entries_fts WHERE entries_fts MATCH 'happ*'
+//   translations_fts Chinese substrings (trigram): ... WHERE translations_fts MATCH '高兴的'.
+//                    Trigrams need 3+ characters, searchTranslations() falls back to LIKE below that
+export function writeSqlite(entries, file) {
+    const db = new Database(file);
+    try {
+        db.exec(`
+            PRAGMA journal_mode = OFF;
+            CREATE TABLE entries (
+                id INTEGER PRIMARY KEY,
+                word TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                suggested TEXT,
+                phonetic TEXT,
+                translation TEXT,
+                description TEXT,
+                prompt_version TEXT
+            );
+            CREATE TABLE relations (
+                entry_id INTEGER NOT NULL REFERENCES entries(id),
+                relation TEXT NOT NULL CHECK (relation IN ('synonym', 'antonym')),
+                word TEXT NOT NULL COLLATE NOCASE
+            );
+            CREATE INDEX relations_entry ON relations(entry_id);
+            CREATE INDEX relations_word ON relations(word);
+            CREATE TABLE examples (
+                entry_id INTEGER NOT NULL REFERENCES entries(id),
+                position INTEGER NOT NULL,
+                en TEXT,
+                zh TEXT
+            );
+            CREATE INDEX examples_entry ON examples(entry_id);
+            CREATE VIRTUAL TABLE entries_fts USING fts5(word, description, synonyms, examples, tokenize = 'unicode61 remove_diacritics 2');
+            CREATE VIRTUAL TABLE translations_fts USING fts5(translation, examples, tokenize = 'trigram');
+        `);
+
+        const insertEntry = db.prepare(`INSERT INTO entries (word, suggested, phonetic, translation, description, prompt_version)
+            VALUES (@word, @suggested, @phonetic, @translation, @description, @prompt_version)`);
+        const insertRelation = db.prepare('INSERT INTO relations (entry_id, relation, word) VALUES (?, ?, ?)');
+        const insertExample = db.prepare('INSERT INTO examples (entry_id, position, en, zh) VALUES (?, ?, ?, ?)');
+        const insertFts = db.prepare('INSERT INTO entries_fts (rowid, word, description, synonyms, examples) VALUES (?, ?, ?, ?, ?)');
+        const insertTranslation = db.prepare('INSERT INTO translations_fts (rowid, translation, examples) VALUES (?, ?, ?)');
+
+        db.transaction(() => {
+            for (const entry of entries) {
+                const { lastInsertRowid: id } = insertEntry.run({
+                    word: entry.word.trim(),
+                    suggested: entry.suggested ?? null,
+                    phonetic: entry.phonetic ?? null,
+                    translation: entry.translation ?? null,
+                    description: entry.description ?? null,
+                    prompt_version: entry.prompt_version ?? null
+                });
+                const synonyms = textList(entry.synonyms);
+                synonyms.forEach(word => insertRelation.run(id, 'synonym', word));
+                textList(entry.antonyms).forEach(word => insertRelation.run(id, 'antonym', word));
+                const examples = examplesOf(entry);
+                examples.forEach(({ en, zh }, position) => insertExample.run(id, position, en ?? null, zh ?? null));
+                insertFts.run(id, entry.word, entry.description ?? '', synonyms.join(' '), examples.map(({ en }) => en ?? '').join('\n'));
+                insertTranslation.run(id, entry.translation ?? '', examples.map(({ zh }) => zh ?? '').join('\n'));
+            }
+        })();
+    } finally {
+        db.close();
+    }
+}
+
+// Entries whose translation or Chinese examples contain `text`, from a database written by
+// writeSqlite(). One or two characters ('乐', '高兴') are too short for the trigram index and
+// are matched with LIKE on the same table instead (a full scan, fine at dictionary size).
+export function searchTranslations(db, text, { limit = 20 } = {}) {
+    const query = String(text).trim();
+    if (!query) return [];
+    if ([...query].length >= 3) {
+        return db.prepare(`SELECT entries.* FROM translations_fts JOIN entries ON entries.id = translations_fts.rowid
+            WHERE translations_fts MATCH ? ORDER BY rank LIMIT ?`).all(`"${query.replace(/"/g, '""')}"`, limit);
+    }
+    const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+    return db.prepare(`SELECT entries.* FROM translations_fts JOIN entries ON entries.id = translations_fts.rowid
+        WHERE translations_fts.translation LIKE ? ESCAPE '\\' OR translations_fts.examples LIKE ? ESCAPE '\\'
+        ORDER BY entries.word LIMIT ?`).all(pattern, pattern, limit);
+}
+
+// Writes the requested formats to outDir as <basename>.*, each through a temp file so a
+// failed export never replaces an earlier good one. Returns { format: [files] }.
+export async function exportDictionary(entries, { outDir, formats = exportFormats, basename = 'dictionary', name = 'English-Chinese Dictionary', ankiSeparator = 'tab' }) {
+    const unknown = formats.filter(format => !exportFormats.includes(format));
+    if (unknown.length) throw new Error(`Unknown export format ${unknown.join(', ')}. Use ${exportFormats.join(', ')}`);
+
+    await fs.mkdir(outDir, { recursive: true });
+    const tempSuffix = `.${process.pid}.${Date.now()}.tmp`;
+    const write = async (file, data) => {
+        await fs.writeFile(file + tempSuffix, data);
+        await fs.rename(file + tempSuffix, file);
+        return file;
+    };
+
+    const files = {};
+    for (const format of formats) {
+        const base = path.join(outDir, basename);
+        if (format === 'anki') {
+            files.anki = [await write(`${base}.anki.${ankiSeparator === 'tab' ? 'tsv' : 'csv'}`, toAnki(entries, { name, separator: ankiSeparator }))];
+        } else if (format === 'stardict') {
+            const { ifo, idx, dict } = toStarDict(entries, { name });
+            // The .ifo goes last: readers only pick up the dictionary once it exists
+            files.stardict = [await write(`${base}.idx`, idx), await write(`${base}.dict`, dict), await write(`${base}.ifo`, ifo)];
+        } else if (format === 'sqlite') {
+            await fs.rm(base + '.sqlite' + tempSuffix, { force: true });
+            try {
+                writeSqlite(entries, base + '.sqlite' + tempSuffix);
+                await fs.rename(base + '.sqlite' + tempSuffix, base + '.sqlite');
+            } catch (error) {
+                await fs.rm(base + '.sqlite' + tempSuffix, { force: true });
+                throw error;
+            }
+            files.sqlite = [base + '.sqlite'];
+        }
+    }
+    return files;
+}
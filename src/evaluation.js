@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { analyzeBatch } from './batchAnalyze.js';
+import { normalizeDate } from './dates.js';
+
+export const evaluatedFields = ['production_date', 'expiration_date'];
+
+// How a predicted field compares to the label
+export const Outcome = {
+    CORRECT_DATE: 'correct_date',   // same date
+    CORRECT_NULL: 'correct_null',   // both null
+    WRONG_DATE: 'wrong_date',       // both set, different dates
+    MISSED: 'missed',               // label has a date, prediction is null
+    HALLUCINATED: 'hallucinated',   // label is null, prediction has a date
+    ERROR: 'error'                  // the model call failed
+};
+
+// Dataset file:
+//   { "today": "2025-01-15", "items": [{ "id": "milk-1", "image": "images/milk-1.jpg",
+//     "production_date": "2024.08.20", "expiration_date": null }] }
+// Image paths are relative to the dataset file. "today" pins {{today}} in the prompt,
+// since labels of undated single dates depend on it; a bare array of items works too.
+export async function loadDataset(file) {
+    const raw = JSON.parse(await fs.readFile(file, 'utf-8'));
+    const { today = null, items = [] } = Array.isArray(raw) ? { items: raw } : raw;
+    const baseDir = path.dirname(path.resolve(file));
+
+    return {
+        name: path.basename(file),
+        today,
+        items: items.map((item, index) => {
+            if (!item.image) throw new Error(`Dataset item ${item.id ?? index} has no image`);
+            return {
+                id: String(item.id ?? item.image),
+                image: path.resolve(baseDir, item.image),
+                expected: Object.fromEntries(evaluatedFields.map(field => [field, normalizeDate(item[field])]))
+            };
+        })
+    };
+}
+
+export function classify(expected, actual) {
+    if (expected && actual) return expected === actual ? Outcome.CORRECT_DATE : Outcome.WRONG_DATE;
+    if (expected) return Outcome.MISSED;
+    return actual ? Outcome.HALLUCINATED : Outcome.CORRECT_NULL;
+}
+
+const ratio = (count, total) => total ? Number((count / total).toFixed(4)) : null;
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// Per field exact-match accuracy, null precision/recall ("no date" as the positive class),
+// an outcome breakdown, latency and the list of mismatches
+export function scoreModel(model, items, results) {
+    const fields = {};
+    const mismatches = [];
+
+    for (const field of evaluatedFields) {
+        const confusion = Object.fromEntries(Object.values(Outcome).map(outcome => [outcome, 0]));
+        items.forEach((item, index) => {
+            const result = results[index];
+            const expected = item.expected[field];
+            const actual = result.status === 'ok' ? normalizeDate(result.data?.[field]) : null;
+            const outcome = result.status === 'ok' ? classify(expected, actual) : Outcome.ERROR;
+            confusion[outcome]++;
+            if (outcome !== Outcome.CORRECT_DATE && outcome !== Outcome.CORRECT_NULL) {
+                mismatches.push({ id: item.id, field, outcome, expected, actual, error: result.error?.message ?? null });
+            }
+        });
+
+        const exact = confusion.correct_date + confusion.correct_null;
+        const predictedNull = confusion.correct_null + confusion.missed;
+        const expectedNull = confusion.correct_null + confusion.hallucinated;
+        fields[field] = {
+            accuracy: ratio(exact, items.length),
+            exact,
+            total: items.length,
+            nullPrecision: ratio(confusion.correct_null, predictedNull),
+            nullRecall: ratio(confusion.correct_null, expectedNull),
+            confusion
+        };
+    }
+
+    const durations = results.filter(result => result.status === 'ok').map(result => result.durationMs).sort((a, b) => a - b);
+    return {
+        model,
+        promptVersion: results.find(result => result.meta)?.meta.promptVersion ?? null,
+        items: items.length,
+        errors: results.filter(result => result.status !== 'ok').length,
+        latencyMs: {
+            mean: durations.length ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null,
+            p50: percentile(durations, 0.5),
+            p95: percentile(durations, 0.95),
+            max: durations.length ? durations[durations.length - 1] : null
+        },
+        fields,
+        mismatches
+    };
+}
+
+// Runs every dataset image through client.analyzeImage for each model.
+// options are analysis options (profile, prompt_version, ...); the cache and fallback are always off
+// so each number belongs to the model that was asked.
+export async function evaluate(client, dataset, { models, options = {}, concurrency = 2 } = {}) {
+    const files = await Promise.all(dataset.items.map(async item => ({ name: item.id, buffer: await fs.readFile(item.image) })));
+    const report = { dataset: dataset.name, today: dataset.today, startedAt: new Date().toISOString(), models: [] };
+
+    for (const model of models) {
+        const analysisOptions = { ...client.analysisOptions(options, model), cache: false, fallback: false };
+        const results = await analyzeBatch(client, files, { model, options: analysisOptions, concurrency });
+        report.models.push(scoreModel(model, dataset.items, results));
+    }
+    return report;
+}
+
+const percent = value => value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+
+export function formatReport(report) {
+    const lines = [`Dataset ${report.dataset}${report.today ? ` (today = ${report.today})` : ''}`];
+    for (const result of report.models) {
+        const { mean, p50, p95, max } = result.latencyMs;
+        lines.push('', `${result.model}  prompt ${result.promptVersion ?? '-'}  items ${result.items}  errors ${result.errors}`);
+        lines.push(`  latency ms: mean ${mean ?? '-'}  p50 ${p50 ?? '-'}  p95 ${p95 ?? '-'}  max ${max ?? '-'}`);
+        for (const [field, score] of Object.entries(result.fields)) {
+            const breakdown = Object.entries(score.confusion).map(([outcome, count]) => `${outcome} ${count}`).join(', ');
+            lines.push(`  ${field.padEnd(16)} accuracy ${percent(score.accuracy)}  null precision ${percent(score.nullPrecision)}  null recall ${percent(score.nullRecall)}`);
+            lines.push(`  ${''.padEnd(16)} ${breakdown}`);
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Small helpers for the local on-disk stores under DATA_DIR.
+
+export const dataDir = process.env.DATA_DIR || './data';
+
+export async function readJson(file, fallback = null) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+// Write to a temp file first so a crash never leaves half a JSON document behind
+export async function writeJson(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempFile, file);
+}
+
+// Returns write(data) for one file. Writes run one after another, so a slow write never
+// overtakes a newer one, and a failed write rejects only its own caller.
+export function serialWriter(file) {
+    let last = Promise.resolve();
+    return data => {
+        last = last.catch(() => {}).then(() => writeJson(file, data));
+        return last;
+    };
+}
+
+export async function removeFile(file) {
+    await fs.rm(file, { force: true });
+}
@@ -0,0 +1,186 @@
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir, readJson, serialWriter } from './fileStore.js';
+import { parseDate, formatDate, toUTCDate } from './dates.js';
+import { validateAnalysis } from './validation.js';
+
+export const ItemStatus = {
+    ACTIVE: 'active',
+    CONSUMED: 'consumed',
+    DISCARDED: 'discarded'
+};
+
+// Where an item stands relative to a day
+export const ExpiryState = {
+    EXPIRED: 'expired',       // expiration date before the day
+    EXPIRING: 'expiring',     // expires within the window (today included)
+    OK: 'ok',
+    UNKNOWN: 'unknown'        // no expiration date
+};
+
+// Thrown for item input the store rejects, answered with 400
+export class InventoryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InventoryError';
+        this.status = 400;
+        this.code = 'invalid_item';
+    }
+}
+
+const textFields = ['name', 'location', 'notes', 'barcode', 'production_id'];
+const dateFields = ['production_date', 'expiration_date'];
+const dayMs = 24 * 60 * 60 * 1000;
+
+// The calendar day where the service runs (TZ), not the UTC one: in UTC+8 the UTC date
+// is still yesterday until 08:00
+export function today(now = new Date()) {
+    return formatDate({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+}
+
+// Parses a YYYY.MM.DD-ish day the same way label dates are parsed
+export function parseDay(value, label = 'date') {
+    const parsed = parseDate(String(value));
+    if (parsed.error) throw new InventoryError(`Invalid ${label} "${value}", use YYYY.MM.DD`);
+    return formatDate(parsed);
+}
+
+function daysBetween(from, to) {
+    return Math.round((toUTCDate(parseDate(to)) - toUTCDate(parseDate(from))) / dayMs);
+}
+
+// Normalizes the known item fields (others are ignored) through the analyzer's validation,
+// so dates read from a label and dates typed in by hand end up identical (YYYY.MM.DD,
+// expiration derived from shelf life). Unparseable dates are rejected, not dropped silently.
+function normalizeItem(input, current = {}) {
+    const merged = { ...current, ...input };
+    const { data, warnings } = validateAnalysis({
+        production_date: merged.production_date,
+        expiration_date: merged.expiration_date,
+        shelf_life: merged.shelf_life
+    });
+    const rejected = warnings.find(({ field, code }) =>
+        (dateFields.includes(field) && ['invalid_type', 'unrecognized_format', 'impossible_date', 'implausible_year'].includes(code))
+        || code === 'unrecognized_shelf_life');
+    if (rejected) {
+        throw new InventoryError(`${rejected.field}: ${rejected.message} (${JSON.stringify(rejected.value)})`);
+    }
+
+    const item = {};
+    for (const field of textFields) {
+        const value = merged[field];
+        item[field] = value === null || value === undefined || value === '' ? null : String(value);
+    }
+    if (!item.name) throw new InventoryError("name is required");
+
+    const quantity = merged.quantity === undefined || merged.quantity === null ? 1 : Number(merged.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0) throw new InventoryError("quantity must be a number of at least 0");
+    item.quantity = quantity;
+
+    const status = merged.status ?? ItemStatus.ACTIVE;
+    if (!Object.values(ItemStatus).includes(status)) {
+        throw new InventoryError(`Invalid status. Use ${Object.values(ItemStatus).join(', ')}`);
+    }
+    item.status = status;
+
+    item.production_date = data.production_date;
+    item.expiration_date = data.expiration_date;
+    item.shelf_life = data.shelf_life;
+    // A derived date is recomputed from the shelf life whenever the item changes
+    item.derived_fields = data.derived_fields;
+    return { item, warnings };
+}
+
+// Tracked stock with the dates of each item, stored in DATA_DIR/inventory.json.
+// Items are created by hand or straight from an /analyze result (source records the analysis).
+export class InventoryStore {
+    constructor({ file = path.join(dataDir, 'inventory.json'), expiringDays = 7 } = {}) {
+        this.file = file;
+        this.expiringDays = expiringDays;
+        this.items = new Map();
+        this.write = serialWriter(file);
+    }
+
+    async init() {
+        const stored = await readJson(this.file, { items: [] });
+        for (const item of stored.items) this.items.set(item.id, item);
+        return this;
+    }
+
+    save() {
+        return this.write({ items: [...this.items.values()] });
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    // Returns { item, warnings }
+    async create(input, { owner = null, source = null } = {}) {
+        const { item, warnings } = normalizeItem(input);
+        const now = new Date().toISOString();
+        const created = { id: crypto.randomUUID(), ...item, source, owner, createdAt: now, updatedAt: now };
+        this.items.set(created.id, created);
+        await this.save();
+        return { item: created, warnings };
+    }
+
+    // Returns { item, warnings }, null when the item does not exist
+    async update(id, input) {
+        const current = this.items.get(id);
+        if (!current) return null;
+        // An edited shelf life or production date must not keep the old derived expiration
+        const base = { ...current };
+        if (current.derived_fields?.includes('expiration_date') && !('expiration_date' in input)) {
+            base.expiration_date = null;
+        }
+        const { item, warnings } = normalizeItem(input, base);
+        Object.assign(current, item, { updatedAt: new Date().toISOString() });
+        await this.save();
+        return { item: current, warnings };
+    }
+
+    async remove(id) {
+        if (!this.items.delete(id)) return false;
+        await this.save();
+        return true;
+    }
+
+    // { state, daysLeft } of an item on `day` (YYYY.MM.DD); daysLeft < 0 once expired
+    expiry(item, { day = today(), days = this.expiringDays } = {}) {
+        if (!item.expiration_date) return { state: ExpiryState.UNKNOWN, daysLeft: null };
+        const daysLeft = daysBetween(day, item.expiration_date);
+        if (daysLeft < 0) return { state: ExpiryState.EXPIRED, daysLeft };
+        return { state: daysLeft <= days ? ExpiryState.EXPIRING : ExpiryState.OK, daysLeft };
+    }
+
+    // Items with their expiry, soonest expiration first (undated last).
+    // filter: { owner, status, state, days, day, q }; owner undefined lists every item
+    list({ owner, status = ItemStatus.ACTIVE, state, days = this.expiringDays, day = today(), q } = {}) {
+        const query = q?.trim().toLowerCase();
+        return [...this.items.values()]
+            .filter(item => owner === undefined || item.owner === owner)
+            .filter(item => !status || item.status === status)
+            .filter(item => !query || [item.name, item.barcode, item.location, item.production_id]
+                .some(value => value?.toLowerCase().includes(query)))
+            .map(item => ({ ...item, expiry: this.expiry(item, { day, days }) }))
+            .filter(item => !state || item.expiry.state === state)
+            .sort((a, b) => (a.expiry.daysLeft ?? Infinity) - (b.expiry.daysLeft ?? Infinity));
+    }
+
+    // Active stock on `day`: what has expired, what expires today and within `days`
+    digest({ owner, day = today(), days = this.expiringDays } = {}) {
+        const items = this.list({ owner, day, days });
+        const byState = state => items.filter(item => item.expiry.state === state);
+        const expiring = byState(ExpiryState.EXPIRING);
+        return {
+            date: day,
+            days,
+            counts: Object.fromEntries(Object.values(ExpiryState).map(state => [state, byState(state).length])),
+            expired: byState(ExpiryState.EXPIRED),
+            expiringToday: expiring.filter(item => item.expiry.daysLeft === 0),
+            expiringSoon: expiring.filter(item => item.expiry.daysLeft > 0),
+            undated: byState(ExpiryState.UNKNOWN).map(({ id, name }) => ({ id, name }))
+        };
+    }
+}
@@ -0,0 +1,279 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { dataDir, readJson, writeJson, removeFile } from './fileStore.js';
+
+export const JobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// Persistent job queue with bounded concurrency.
+// Each job is stored as <id>.json, binary inputs (uploaded images) as <id>.bin,
+// so queued and interrupted jobs are picked up again after a restart.
+export class JobQueue {
+    constructor({ dir = path.join(dataDir, 'jobs'), concurrency = 2, retentionMs = 7 * 24 * 60 * 60 * 1000, callbackHosts = [] } = {}) {
+        this.dir = dir;
+        this.concurrency = concurrency;
+        this.retentionMs = retentionMs;
+        this.callbackHosts = callbackHosts;
+        this.handlers = new Map();
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    // handler(job, input) resolves with the job result
+    register(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    jobFile(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    inputFile(id) {
+        return path.join(this.dir, `${id}.bin`);
+    }
+
+    async init() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        const now = Date.now();
+
+        for (const file of files) {
+            const job = await readJson(path.join(this.dir, file));
+            if (!job) continue;
+
+            const finished = job.status === JobStatus.SUCCEEDED || job.status === JobStatus.FAILED;
+            if (finished && now - Date.parse(job.finishedAt) > this.retentionMs) {
+                await this.remove(job.id);
+                continue;
+            }
+            // A job that was running when the process stopped starts over
+            if (job.status === JobStatus.RUNNING) {
+                job.status = JobStatus.QUEUED;
+                job.startedAt = null;
+                await this.save(job);
+            }
+            this.jobs.set(job.id, job);
+        }
+
+        const queued = [...this.jobs.values()]
+            .filter(job => job.status === JobStatus.QUEUED)
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        this.pending.push(...queued.map(job => job.id));
+        this.drain();
+        return this;
+    }
+
+    async submit(type, { params = {}, input = null, callbackUrl = null, owner = null } = {}) {
+        if (!this.handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: JobStatus.QUEUED,
+            params,
+            owner,
+            callbackUrl,
+            callback: null,
+            result: null,
+            error: null,
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        if (input) await fs.writeFile(this.inputFile(job.id), input);
+        await this.save(job);
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        this.drain();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    stats() {
+        const counts = Object.fromEntries(Object.values(JobStatus).map(status => [status, 0]));
+        for (const job of this.jobs.values()) counts[job.status]++;
+        return { ...counts, concurrency: this.concurrency };
+    }
+
+    async save(job) {
+        await writeJson(this.jobFile(job.id), job);
+    }
+
+    async remove(id) {
+        this.jobs.delete(id);
+        await removeFile(this.jobFile(id));
+        await removeFile(this.inputFile(id));
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length) {
+            const job = this.jobs.get(this.pending.shift());
+            if (!job) continue;
+            this.running++;
+            this.run(job)
+                .catch(error => console.error(`Job ${job.id} bookkeeping error:`, error))
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    async run(job) {
+        job.status = JobStatus.RUNNING;
+        job.startedAt = new Date().toISOString();
+        job.attempts++;
+        await this.save(job);
+
+        try {
+            const input = await fs.readFile(this.inputFile(job.id)).catch(() => null);
+            job.result = await this.handlers.get(job.type)(job, input);
+            job.status = JobStatus.SUCCEEDED;
+        } catch (error) {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error);
+            job.error = { message: error.message, code: error.code || null };
+            job.status = JobStatus.FAILED;
+        }
+        job.finishedAt = new Date().toISOString();
+        await removeFile(this.inputFile(job.id));
+        await this.save(job);
+
+        if (job.callbackUrl) {
+            job.callback = await this.notify(job);
+            await this.save(job);
+        }
+    }
+
+    // POSTs the finished job to its callback URL, retrying a few times with backoff
+    async notify(job, attempts = 3) {
+        // Checked again on delivery, the host may resolve differently than at submission
+        const refused = await callbackUrlError(job.callbackUrl, this.callbackHosts);
+        if (refused) {
+            console.error(`Callback for job ${job.id} refused: ${refused}`);
+            return { delivered: false, error: refused, attempts: 0, at: new Date().toISOString() };
+        }
+        const body = JSON.stringify(publicJob(job));
+        const failed = (error, attempt) => {
+            console.error(`Callback for job ${job.id} failed: ${error}`);
+            return { delivered: false, error, attempts: attempt, at: new Date().toISOString() };
+        };
+        let lastError = null;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const status = await postCallback(job.callbackUrl, body, this.callbackHosts);
+                if (status >= 200 && status < 300) {
+                    return { delivered: true, status, attempts: attempt, at: new Date().toISOString() };
+                }
+                // Redirects are not followed, their target was never checked
+                if (status >= 300 && status < 400) return failed(`HTTP ${status}, callback redirects are not followed`, attempt);
+                lastError = `HTTP ${status}`;
+            } catch (error) {
+                if (error.code === 'ECALLBACKREFUSED') return failed(error.message, attempt);
+                lastError = error.message;
+            }
+            if (attempt < attempts) await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+        }
+        return failed(lastError, attempts);
+    }
+}
+
+// POSTs body and resolves with the response status. The connection goes to the address
+// callbackLookup checked, so a host cannot resolve to a public address for the check and
+// to an internal one for the request.
+function postCallback(url, body, allowedHosts) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            lookup: callbackLookup(allowedHosts),
+            signal: AbortSignal.timeout(10000)
+        }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// What clients get to see of a job
+export function publicJob(job) {
+    const { id, type, status, result, error, callback, createdAt, startedAt, finishedAt } = job;
+    return { id, type, status, result, error, callback, createdAt, startedAt, finishedAt };
+}
+
+// Loopback, link-local (cloud metadata), private, shared and multicast ranges
+const internalAddresses = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+    internalAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    internalAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function internalAddress(addresses) {
+    return addresses.find(({ address, family }) => internalAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+}
+
+// dns.lookup for callback requests that fails for internal addresses, unless the host is in allowedHosts
+export function callbackLookup(allowedHosts = []) {
+    return (hostname, options, callback) => {
+        const host = hostname.toLowerCase();
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const internal = !allowedHosts.includes(host) && internalAddress(addresses);
+            if (internal) {
+                const refused = new Error(`callback_url must not point to a loopback, link-local or private address (${internal.address})`);
+                refused.code = 'ECALLBACKREFUSED';
+                return callback(refused);
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+// Resolves with why a callback URL may not be called, null when it may.
+// Callbacks must not reach into the service's own network; hosts listed in
+// allowedHosts (CALLBACK_ALLOWED_HOSTS) skip the address check.
+export async function callbackUrlError(value, allowedHosts = []) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return "callback_url must be an http(s) URL";
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return "callback_url must be an http(s) URL";
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (allowedHosts.includes(host)) return null;
+
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+    } catch {
+        return `callback_url host "${host}" cannot be resolved`;
+    }
+    const internal = internalAddress(addresses);
+    if (internal) return `callback_url must not point to a loopback, link-local or private address (${internal.address})`;
+    return null;
+}
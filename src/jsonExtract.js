@@ -0,0 +1,164 @@
+// Tolerant JSON extraction from model answers.
+// Models wrap JSON in ```json fences, in fences without a language tag, in prose,
+// copy the // comments from our prompt examples, leave trailing commas or stop mid-array
+// when they run out of tokens. extractJson() takes care of all of that and lists what it repaired.
+
+export const JsonRepair = {
+    UNFENCED: 'unfenced',                   // bare JSON, no ``` fence
+    UNTAGGED_FENCE: 'untagged_fence',       // fence without the json language tag
+    UNCLOSED_FENCE: 'unclosed_fence',       // opening fence without a closing one
+    SURROUNDING_TEXT: 'surrounding_text',   // prose before or after the JSON value
+    COMMENTS: 'comments',                   // // and /* */ comments removed
+    TRAILING_COMMAS: 'trailing_commas',     // commas before ] or } removed
+    TRUNCATED: 'truncated'                  // cut off answer, incomplete elements dropped
+};
+
+export class JsonExtractError extends Error {
+    constructor(message, { text, cause } = {}) {
+        super(message, { cause });
+        this.name = 'JsonExtractError';
+        this.text = text;
+    }
+}
+
+const openers = { '{': '}', '[': ']' };
+
+// The fenced block to parse: ```json first, then any fence, then an unclosed fence
+function fencedBlock(text) {
+    const fences = [...text.matchAll(/```([\w-]*)[^\S\n]*\n?([\s\S]*?)```/g)];
+    const tagged = fences.find(([, tag]) => tag.toLowerCase() === 'json');
+    if (tagged) return { body: tagged[2], repairs: [] };
+    const untagged = fences.find(([, , body]) => /^\s*[[{]/.test(body));
+    if (untagged) return { body: untagged[2], repairs: [JsonRepair.UNTAGGED_FENCE] };
+
+    const unclosed = text.match(/```([\w-]*)[^\S\n]*\n?([\s\S]*)$/);
+    if (unclosed && /^\s*[[{]/.test(unclosed[2])) return { body: unclosed[2], repairs: [JsonRepair.UNCLOSED_FENCE] };
+    return null;
+}
+
+// Copies one JSON value starting at `start` without comments and trailing commas.
+// Stops after the value closes; when the text ends first, cuts back to the last complete
+// top-level element and closes the value. Without one, it cuts back to the last complete
+// nested element and closes every container still open, innermost first.
+function scanValue(text, start) {
+    const repairs = new Set();
+    const stack = [];
+    let out = '';
+    let inString = false;
+    // Output length after the last complete top-level element
+    let safeLength = null;
+    // Output length and closing brackets after the last complete nested element
+    let nestedSafe = null;
+    const markNested = length => {
+        nestedSafe = { length, closers: [...stack].reverse().join('') };
+    };
+    let end = text.length;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            out += char;
+            if (char === '\\') {
+                out += text[i + 1] ?? '';
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '/' && text[i + 1] === '/') {
+            const newline = text.indexOf('\n', i);
+            i = newline === -1 ? text.length : newline - 1;
+            repairs.add(JsonRepair.COMMENTS);
+            continue;
+        }
+        if (char === '/' && text[i + 1] === '*') {
+            const close = text.indexOf('*/', i + 2);
+            i = close === -1 ? text.length : close + 1;
+            repairs.add(JsonRepair.COMMENTS);
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (openers[char]) {
+            stack.push(openers[char]);
+        } else if (char === '}' || char === ']') {
+            // A comma right before a closing bracket is dropped
+            const trimmed = out.trimEnd();
+            if (trimmed.endsWith(',')) {
+                out = trimmed.slice(0, -1);
+                repairs.add(JsonRepair.TRAILING_COMMAS);
+            }
+            stack.pop();
+            out += char;
+            if (stack.length === 0) {
+                end = i + 1;
+                break;
+            }
+            if (stack.length === 1) safeLength = out.length;
+            else markNested(out.length);
+            continue;
+        } else if (char === ',' && stack.length === 1) {
+            safeLength = out.trimEnd().length;
+        } else if (char === ',' && stack.length > 1) {
+            markNested(out.trimEnd().length);
+        }
+        out += char;
+    }
+
+    if (stack.length) {
+        if (safeLength !== null) {
+            out = out.slice(0, safeLength).trimEnd().replace(/,$/, '') + stack[0];
+        } else if (nestedSafe) {
+            out = out.slice(0, nestedSafe.length).trimEnd().replace(/,$/, '') + nestedSafe.closers;
+        } else {
+            throw new JsonExtractError("JSON value is cut off before its first complete element");
+        }
+        repairs.add(JsonRepair.TRUNCATED);
+    }
+    return { json: out, end, repairs: [...repairs] };
+}
+
+// expect: 'object' | 'array' | 'any' - which kind of value to look for in unfenced text.
+// Returns { value, repairs }, throws JsonExtractError when no JSON can be recovered.
+export function extractJson(text, { expect = 'any' } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new JsonExtractError("Empty model answer", { text });
+    }
+
+    const repairs = [];
+    const fenced = fencedBlock(text);
+    let source = text;
+    if (fenced) {
+        source = fenced.body;
+        repairs.push(...fenced.repairs);
+    } else {
+        repairs.push(JsonRepair.UNFENCED);
+    }
+
+    const pattern = expect === 'object' ? /\{/ : expect === 'array' ? /\[/ : /[[{]/;
+    const start = source.search(pattern);
+    if (start === -1) {
+        throw new JsonExtractError(`No JSON ${expect === 'any' ? 'value' : expect} found in model answer`, { text });
+    }
+
+    let scanned;
+    try {
+        scanned = scanValue(source, start);
+    } catch (error) {
+        throw new JsonExtractError(error.message, { text, cause: error });
+    }
+    repairs.push(...scanned.repairs);
+    if (source.slice(0, start).trim() || source.slice(scanned.end).trim()) {
+        repairs.push(JsonRepair.SURROUNDING_TEXT);
+    }
+
+    try {
+        return { value: JSON.parse(scanned.json), repairs };
+    } catch (error) {
+        throw new JsonExtractError(`Invalid JSON in model answer: ${error.message}`, { text, cause: error });
+    }
+}
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir, readJson, removeFile, serialWriter } from './fileStore.js';
+import { normalizeDate } from './dates.js';
+import { parseShelfLife } from './shelfLife.js';
+import { analysisFields } from './analysisClient.js';
+
+// Thrown for label input the store rejects, answered with 400
+export class LabelError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LabelError';
+        this.status = 400;
+        this.code = 'invalid_label';
+    }
+}
+
+const dateFields = ['production_date', 'expiration_date'];
+const extensions = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif' };
+
+// Corrected field values: dates as YYYY.MM.DD, shelf life normalized, the rest as text.
+// null means "not on the label", a value that cannot be read is rejected.
+function normalizeFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new LabelError("fields must be a JSON object");
+    }
+    const unknown = Object.keys(fields).filter(field => !analysisFields.includes(field));
+    if (unknown.length) throw new LabelError(`Unknown fields ${unknown.join(', ')}. Use ${analysisFields.join(', ')}`);
+
+    const labeled = {};
+    for (const field of analysisFields) {
+        const value = fields[field];
+        if (value === null || value === undefined || value === '') {
+            labeled[field] = null;
+        } else if (dateFields.includes(field)) {
+            labeled[field] = normalizeDate(String(value));
+            if (!labeled[field]) throw new LabelError(`${field} "${value}" is not a valid date, use YYYY.MM.DD`);
+        } else if (field === 'shelf_life') {
+            labeled[field] = parseShelfLife(value);
+            if (!labeled[field]) throw new LabelError(`shelf_life "${JSON.stringify(value)}" not recognized`);
+        } else {
+            labeled[field] = String(value);
+        }
+    }
+    return labeled;
+}
+
+// Human-reviewed ground truth, saved as an evaluation dataset: DATA_DIR/labels/dataset.json
+// with the images next to it, so `node evaluate.js --dataset data/labels/dataset.json` scores
+// the models against everything reviewed so far.
+export class LabelStore {
+    constructor({ dir = path.join(dataDir, 'labels') } = {}) {
+        this.dir = dir;
+        this.file = path.join(dir, 'dataset.json');
+        this.dataset = { today: null, items: [] };
+        this.write = serialWriter(this.file);
+    }
+
+    async init() {
+        this.dataset = await readJson(this.file, this.dataset);
+        return this;
+    }
+
+    save() {
+        return this.write({ ...this.dataset, items: [...this.dataset.items] });
+    }
+
+    list() {
+        return this.dataset.items;
+    }
+
+    get(id) {
+        return this.dataset.items.find(item => item.id === id) || null;
+    }
+
+    // predictions: the model answers the label was reviewed against, kept for reference
+    async add({ image, mimeType, fields, predictions = null, owner = null }) {
+        const labeled = normalizeFields(fields);
+        const id = crypto.randomUUID();
+        const imagePath = `images/${id}${extensions[mimeType] || '.img'}`;
+        await fs.mkdir(path.join(this.dir, 'images'), { recursive: true });
+        await fs.writeFile(path.join(this.dir, imagePath), image);
+
+        const item = { id, image: imagePath, ...labeled, predictions, owner, labeledAt: new Date().toISOString() };
+        this.dataset.items.push(item);
+        await this.save();
+        return item;
+    }
+
+    async remove(id) {
+        const item = this.get(id);
+        if (!item) return false;
+        this.dataset.items = this.dataset.items.filter(candidate => candidate.id !== id);
+        await this.save();
+        await removeFile(path.join(this.dir, item.image));
+        return true;
+    }
+}
@@ -0,0 +1,140 @@
+import client from 'prom-client';
+
+// Prometheus metrics served on /metrics
+export const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+export const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route, method and status code',
+    labelNames: ['route', 'method', 'status'],
+    registers: [register]
+});
+
+export const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['route', 'method'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+    registers: [register]
+});
+
+export const modelCalls = new client.Counter({
+    name: 'model_calls_total',
+    help: 'Upstream model calls by model, operation and outcome',
+    labelNames: ['model', 'operation', 'outcome'],
+    registers: [register]
+});
+
+export const modelDuration = new client.Histogram({
+    name: 'model_call_duration_seconds',
+    help: 'Upstream model call latency',
+    labelNames: ['model', 'operation'],
+    buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+    registers: [register]
+});
+
+export const upstreamRateLimited = new client.Counter({
+    name: 'model_rate_limited_total',
+    help: 'Upstream 429 / rate limit responses',
+    labelNames: ['model'],
+    registers: [register]
+});
+
+export const jsonParseFailures = new client.Counter({
+    name: 'model_json_parse_failures_total',
+    help: 'Model answers without usable JSON',
+    labelNames: ['model'],
+    registers: [register]
+});
+
+export const jsonRepairs = new client.Counter({
+    name: 'model_json_repairs_total',
+    help: 'Repairs needed to parse model JSON, by kind',
+    labelNames: ['model', 'repair'],
+    registers: [register]
+});
+
+export const modelTokens = new client.Counter({
+    name: 'model_tokens_total',
+    help: 'Tokens reported by the upstream models',
+    labelNames: ['model', 'type'],
+    registers: [register]
+});
+
+export function isRateLimitError(error) {
+    const text = String(error?.message || error);
+    return error?.status === 429 || error?.statusCode === 429 || /429|Too Many Requests|rate limit|Please try again later/i.test(text);
+}
+
+// Times an upstream call and records its outcome
+export async function observeModelCall(model, operation, fn) {
+    const stopTimer = modelDuration.startTimer({ model, operation });
+    try {
+        const result = await fn();
+        modelCalls.inc({ model, operation, outcome: 'success' });
+        return result;
+    } catch (error) {
+        const rateLimited = isRateLimitError(error);
+        if (rateLimited) upstreamRateLimited.inc({ model });
+        modelCalls.inc({ model, operation, outcome: rateLimited ? 'rate_limited' : 'error' });
+        throw error;
+    } finally {
+        stopTimer();
+    }
+}
+
+// Same as observeModelCall for a stream of { type: 'text' | 'done' } events
+export async function* observeModelStream(model, operation, events) {
+    const stopTimer = modelDuration.startTimer({ model, operation });
+    let outcome = 'aborted';
+    try {
+        for await (const event of events) {
+            if (event.type === 'done') {
+                outcome = 'success';
+                recordUsage(model, event.usage);
+            }
+            yield event;
+        }
+    } catch (error) {
+        outcome = isRateLimitError(error) ? 'rate_limited' : 'error';
+        if (outcome === 'rate_limited') upstreamRateLimited.inc({ model });
+        throw error;
+    } finally {
+        modelCalls.inc({ model, operation, outcome });
+        stopTimer();
+    }
+}
+
+export function recordUsage(model, usage) {
+    if (!usage) return;
+    if (usage.promptTokens) modelTokens.inc({ model, type: 'prompt' }, usage.promptTokens);
+    if (usage.completionTokens) modelTokens.inc({ model, type: 'completion' }, usage.completionTokens);
+}
+
+// Express middleware: counts and times every request under its route pattern
+export function httpMetrics(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        httpRequests.inc({ route, method: req.method, status: res.statusCode });
+        httpDuration.observe({ route, method: req.method }, seconds);
+    });
+    next();
+}
+
+// Request totals per route, for /status
+export async function requestTotals() {
+    const { values } = await httpRequests.get();
+    const routes = {};
+    let total = 0;
+    for (const { labels, value } of values) {
+        if (labels.route === 'unmatched') continue;
+        const counts = routes[labels.route] || (routes[labels.route] = { total: 0, errors: 0 });
+        counts.total += value;
+        if (Number(labels.status) >= 500) counts.errors += value;
+        total += value;
+    }
+    return { total, routes };
+}
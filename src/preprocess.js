@@ -0,0 +1,104 @@
+import sharp from 'sharp';
+
+// Image preprocessing profiles applied before an image is sent to a model.
+// A profile is a plain object from models.config.json ("preprocessing.profiles"):
+//   rotate       auto-rotate from EXIF orientation (default true)
+//   maxDimension longest side in pixels, larger images are scaled down
+//   grayscale, normalize (contrast stretch), sharpen
+//   contrast     linear contrast factor, e.g. 1.4
+//   threshold    0-255, turns the image black and white
+//   quality      JPEG quality (default 90)
+//   variants     list of other profile names tried in turn until a date is found
+
+export const legacyProfile = { rotate: false, grayscale: true, quality: 100 };
+
+// "x,y,w,h" in pixels, or as fractions of the image when every value is <= 1
+export function parseRoi(roi) {
+    if (roi === null || roi === undefined || roi === '') return null;
+
+    const values = typeof roi === 'string'
+        ? roi.split(',').map(Number)
+        : [roi.x ?? roi.left, roi.y ?? roi.top, roi.width, roi.height].map(Number);
+    if (values.length !== 4 || values.some(value => !Number.isFinite(value) || value < 0)) {
+        throw new Error("Invalid roi. Use x,y,width,height in pixels or fractions between 0 and 1");
+    }
+    const [x, y, width, height] = values;
+    if (!width || !height) throw new Error("Invalid roi. Width and height must be greater than 0");
+    return { x, y, width, height, relative: values.every(value => value <= 1) };
+}
+
+function roiToRegion(roi, imageWidth, imageHeight) {
+    const scaleX = roi.relative ? imageWidth : 1;
+    const scaleY = roi.relative ? imageHeight : 1;
+    const left = Math.min(Math.round(roi.x * scaleX), imageWidth - 1);
+    const top = Math.min(Math.round(roi.y * scaleY), imageHeight - 1);
+    return {
+        left,
+        top,
+        width: Math.max(1, Math.min(Math.round(roi.width * scaleX), imageWidth - left)),
+        height: Math.max(1, Math.min(Math.round(roi.height * scaleY), imageHeight - top))
+    };
+}
+
+export async function preprocessImage(imageBuffer, profile = legacyProfile, { roi = null } = {}) {
+    let input = imageBuffer;
+    // Rotation is baked in first so that roi coordinates match what the user sees
+    if (profile.rotate !== false) {
+        input = await sharp(input).rotate().toBuffer();
+    }
+
+    let image = sharp(input);
+    if (roi) {
+        const { width, height } = await image.metadata();
+        image = image.extract(roiToRegion(roi, width, height));
+    }
+    if (profile.maxDimension) {
+        image = image.resize({
+            width: profile.maxDimension,
+            height: profile.maxDimension,
+            fit: 'inside',
+            withoutEnlargement: true
+        });
+    }
+    if (profile.grayscale) image = image.grayscale();
+    if (profile.normalize) image = image.normalize();
+    if (profile.contrast) image = image.linear(profile.contrast, 128 * (1 - profile.contrast));
+    if (profile.sharpen) image = image.sharpen();
+    if (profile.threshold) image = image.threshold(profile.threshold);
+
+    return image.jpeg({ quality: profile.quality || 90, progressive: true }).toBuffer();
+}
+
+export class PreprocessingProfiles {
+    constructor({ default: defaultName = 'legacy', profiles = {} } = {}) {
+        this.defaultName = defaultName;
+        this.profiles = { legacy: legacyProfile, ...profiles };
+    }
+
+    names() {
+        return Object.keys(this.profiles);
+    }
+
+    has(name) {
+        return Object.hasOwn(this.profiles, name);
+    }
+
+    // Request choice first, then the model's configured profile, then the global default
+    resolve(requested, modelDefault) {
+        const name = requested || modelDefault || this.defaultName;
+        if (!this.has(name)) {
+            throw new Error(`Unknown preprocessing profile: ${name}. Use ${this.names().join(', ')}`);
+        }
+        return name;
+    }
+
+    // The ordered list of profiles to try for one analysis
+    variants(name) {
+        const profile = this.profiles[name];
+        const names = profile.variants?.length ? profile.variants : [name];
+        return names.map(variant => {
+            if (!this.has(variant)) throw new Error(`Unknown preprocessing profile: ${variant} (variant of ${name})`);
+            return { name: variant, profile: this.profiles[variant] };
+        });
+    }
+}
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const defaultDir = fileURLToPath(new URL('../prompts', import.meta.url));
+
+// Thrown for a bad template choice in a request, answered with 400
+export class PromptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptError';
+        this.status = 400;
+        this.code = 'invalid_prompt';
+    }
+}
+
+// Version names sort by their numbers, so v10 comes after v9
+export function compareVersions(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+// Prompt templates, one file per version: prompts/<template>/<version>.txt.
+// {{name}} placeholders are filled from the request, the template's configured
+// variables and {{today}} (pinned with `today`, e.g. for reproducible evaluations).
+// Configured by "prompts" in models.config.json:
+//   { "date-extraction": { "default": "v2", "variables": { "locale": "zh-CN" } } }
+// The id of a rendered prompt is "<template>-<version>", e.g. "date-extraction-v2".
+export class PromptStore {
+    constructor({ dir = process.env.PROMPTS_DIR || defaultDir, templates = {}, today = null } = {}) {
+        this.dir = dir;
+        this.config = templates;
+        this.today = today;
+        this.templates = new Map();
+    }
+
+    // Reads every template from disk; call again after editing the files
+    load() {
+        const templates = new Map();
+        for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            const versions = new Map();
+            for (const file of fs.readdirSync(path.join(this.dir, entry.name))) {
+                if (!file.endsWith('.txt')) continue;
+                versions.set(path.basename(file, '.txt'), fs.readFileSync(path.join(this.dir, entry.name, file), 'utf-8').trimEnd());
+            }
+            if (versions.size) templates.set(entry.name, versions);
+        }
+        for (const [name, { default: version } = {}] of Object.entries(this.config)) {
+            if (version && !templates.get(name)?.has(version)) {
+                throw new Error(`Default prompt ${name}-${version} not found in ${this.dir}`);
+            }
+        }
+        this.templates = templates;
+        return this;
+    }
+
+    list() {
+        return [...this.templates].map(([name, versions]) => ({
+            name,
+            default: this.defaultVersion(name),
+            versions: [...versions.keys()].sort(compareVersions)
+        }));
+    }
+
+    defaultVersion(name) {
+        const versions = this.templates.get(name);
+        if (!versions) return null;
+        return this.config[name]?.default || [...versions.keys()].sort(compareVersions).pop();
+    }
+
+    // Accepts "v3" as well as the full id "date-extraction-v3"; undefined picks the default
+    resolveVersion(name, requested) {
+        const versions = this.templates.get(name);
+        if (!versions) throw new Error(`Unknown prompt template: ${name}`);
+        if (requested === undefined || requested === null || requested === '') return this.defaultVersion(name);
+
+        const version = String(requested).startsWith(`${name}-`) ? String(requested).slice(name.length + 1) : String(requested);
+        if (!versions.has(version)) {
+            throw new PromptError(`Unknown prompt version "${requested}" for ${name}. Use ${[...versions.keys()].sort(compareVersions).join(', ')}`);
+        }
+        return version;
+    }
+
+    // Names of the {{placeholders}} in a template version
+    placeholders(name, version) {
+        const text = this.templates.get(name)?.get(this.resolveVersion(name, version)) ?? '';
+        return [...new Set([...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(([, key]) => key))];
+    }
+
+    // Returns { id, name, version, text }
+    render(name, { version, variables = {} } = {}) {
+        const resolved = this.resolveVersion(name, version);
+        const values = {
+            today: this.today || new Date().toISOString().split('T')[0],
+            ...this.config[name]?.variables,
+            ...Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== undefined))
+        };
+        const text = this.templates.get(name).get(resolved).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+            if (values[key] === undefined || values[key] === null) {
+                throw new Error(`Prompt ${name}-${resolved} needs a value for {{${key}}}`);
+            }
+            return Array.isArray(values[key]) ? values[key].join(', ') : String(values[key]);
+        });
+        return { id: `${name}-${resolved}`, name, version: resolved, text };
+    }
+}
@@ -0,0 +1,38 @@
+// Common shape of every model backend.
+// Subclasses implement analyzeImage() and stream(); ask() is built on stream().
+export class BaseProvider {
+    constructor(config) {
+        this.id = config.id;
+        this.label = config.label || config.id;
+        this.model = config.model;
+        this.visionModel = config.visionModel || config.model;
+        this.config = config;
+    }
+
+    // Returns the raw model text for an image + prompt; signal aborts the request
+    async analyzeImage({ base64Image, mimeType, prompt, signal }) {
+        throw new Error(`${this.id} does not support image analysis`);
+    }
+
+    // Yields { type: 'text', text } as chunks arrive, then one
+    // { type: 'done', finishReason, usage: { promptTokens, completionTokens, totalTokens } }.
+    // options.signal stops the upstream request when aborted,
+    // options.history is the earlier conversation as [{ role: 'user' | 'assistant', content }].
+    async *stream(prompt, options = {}) {
+        throw new Error(`${this.id} does not support text generation`);
+    }
+
+    async ask(prompt, options = {}) {
+        let response = "";
+        let finishReason = null;
+        let usage = null;
+        for await (const event of this.stream(prompt, options)) {
+            if (event.type === 'text') {
+                response += event.text;
+            } else if (event.type === 'done') {
+                ({ finishReason, usage } = event);
+            }
+        }
+        return { response, finishReason, usage };
+    }
+}
@@ -0,0 +1,135 @@
+import path from 'path';
+import { BaseProvider } from './base.js';
+import { ProviderRegistry, createRegistry } from './registry.js';
+import { hashKey } from '../cache.js';
+import { readJson, writeJson } from '../fileStore.js';
+import { ModelError } from '../resilience.js';
+
+// Recorded provider answers, one JSON file per request: <dir>/<MODEL>/<key>.json.
+// The key covers everything the answer depends on (model, prompt, image or history).
+export class FixtureStore {
+    constructor({ dir }) {
+        this.dir = dir;
+    }
+
+    file(model, key) {
+        return path.join(this.dir, model, `${key}.json`);
+    }
+
+    read(model, key) {
+        return readJson(this.file(model, key));
+    }
+
+    write(model, key, record) {
+        return writeJson(this.file(model, key), { ...record, recordedAt: new Date().toISOString() });
+    }
+}
+
+function analyzeKey(provider, { base64Image, mimeType, prompt }) {
+    return hashKey('analyze', provider.visionModel, prompt, mimeType, base64Image);
+}
+
+function streamKey(provider, prompt, { history = [] } = {}) {
+    return hashKey('stream', provider.model, history, prompt);
+}
+
+// Passes calls through to a real provider and saves every answer
+export class RecordingProvider extends BaseProvider {
+    constructor(provider, store) {
+        super(provider.config);
+        this.provider = provider;
+        this.store = store;
+    }
+
+    async analyzeImage(request) {
+        const text = await this.provider.analyzeImage(request);
+        await this.store.write(this.id, analyzeKey(this, request), {
+            operation: 'analyze',
+            model: this.visionModel,
+            prompt: request.prompt,
+            text
+        });
+        return text;
+    }
+
+    // Only complete answers are saved
+    async *stream(prompt, options = {}) {
+        const events = [];
+        for await (const event of this.provider.stream(prompt, options)) {
+            events.push(event);
+            yield event;
+        }
+        if (events.some(event => event.type === 'done')) {
+            await this.store.write(this.id, streamKey(this, prompt, options), {
+                operation: 'stream',
+                model: this.model,
+                prompt,
+                history: options.history || [],
+                events
+            });
+        }
+    }
+}
+
+// Answers from recorded fixtures only, never touches the network
+export class ReplayProvider extends BaseProvider {
+    constructor(config, store) {
+        super(config);
+        this.store = store;
+    }
+
+    async fixture(key) {
+        const record = await this.store.read(this.id, key);
+        if (!record) {
+            throw new ModelError(`No recorded ${this.id} answer for this request (${key}), record it first`, {
+                status: 502, code: 'fixture_missing', model: this.id
+            });
+        }
+        return record;
+    }
+
+    async analyzeImage(request) {
+        return (await this.fixture(analyzeKey(this, request))).text;
+    }
+
+    async *stream(prompt, options = {}) {
+        const { events } = await this.fixture(streamKey(this, prompt, options));
+        for (const event of events) {
+            if (options.signal?.aborted) return;
+            yield event;
+        }
+    }
+}
+
+// Registry with a ReplayProvider for every enabled model, no API keys needed
+export function createReplayRegistry(config, store) {
+    const registry = new ProviderRegistry();
+    for (const modelConfig of config.models || []) {
+        if (modelConfig.enabled !== false) registry.register(new ReplayProvider(modelConfig, store));
+    }
+    return registry;
+}
+
+// Swaps every provider in the registry for a recording wrapper around it
+export function recordProviders(registry, store) {
+    for (const id of registry.ids()) {
+        registry.register(new RecordingProvider(registry.get(id), store));
+    }
+    return registry;
+}
+
+// PROVIDER_MODE=record saves every model answer under FIXTURES_DIR,
+// PROVIDER_MODE=replay answers from those files only (no API keys or network needed)
+export function providerRegistry(config, env = process.env) {
+    const store = new FixtureStore({ dir: env.FIXTURES_DIR || './fixtures' });
+    switch (env.PROVIDER_MODE || 'live') {
+        case 'live':
+            return createRegistry(config, env);
+        case 'record':
+            return recordProviders(createRegistry(config, env), store);
+        case 'replay':
+            return createReplayRegistry(config, store);
+        default:
+            throw new Error(`Unknown PROVIDER_MODE "${env.PROVIDER_MODE}", use live, record or replay`);
+    }
+}
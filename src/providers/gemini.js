@@ -0,0 +1,65 @@
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai";
+import { BaseProvider } from './base.js';
+
+const safetySettings = [
+    { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+];
+
+export class GeminiProvider extends BaseProvider {
+    // client: a ready GoogleGenerativeAI instance (or a stand-in with getGenerativeModel)
+    constructor(config, { apiKey, client = new GoogleGenerativeAI(apiKey) }) {
+        super(config);
+        this.genAI = client;
+    }
+
+    async analyzeImage({ base64Image, mimeType = "image/jpeg", prompt }) {
+        const model = this.genAI.getGenerativeModel({ model: this.visionModel });
+        const result = await model.generateContent([
+            { text: prompt },
+            {
+                inlineData: {
+                    data: base64Image,
+                    mimeType
+                }
+            }
+        ]);
+        return result.response.text();
+    }
+
+    async *stream(prompt, { signal, history = [] } = {}) {
+        const model = this.genAI.getGenerativeModel({ model: this.model });
+        const chat = model.startChat({
+            history: history.map(({ role, content }) => ({
+                role: role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: content }]
+            })),
+            generationConfig: {
+                maxOutputTokens: 8192,
+                temperature: 1,
+                ...this.config.ask
+            },
+            safetySettings
+        });
+
+        let finishReason = null;
+        let usage = null;
+        const result = await chat.sendMessageStream(prompt);
+        for await (const chunk of result.stream) {
+            // This SDK version takes no AbortSignal, so an abort stops reading the stream instead
+            if (signal?.aborted) return;
+            yield { type: 'text', text: chunk.text() };
+            finishReason = chunk.candidates?.[0]?.finishReason ?? finishReason;
+            if (chunk.usageMetadata) {
+                usage = {
+                    promptTokens: chunk.usageMetadata.promptTokenCount ?? 0,
+                    completionTokens: chunk.usageMetadata.candidatesTokenCount ?? 0,
+                    totalTokens: chunk.usageMetadata.totalTokenCount ?? 0
+                };
+            }
+        }
+        yield { type: 'done', finishReason, usage };
+    }
+}
@@ -0,0 +1,6 @@
+export { BaseProvider } from './base.js';
+export { GeminiProvider } from './gemini.js';
+export { MistralProvider } from './mistral.js';
+export { OpenAICompatibleProvider } from './openai.js';
+export { ProviderRegistry, createRegistry, loadModelConfig } from './registry.js';
+export { FixtureStore, RecordingProvider, ReplayProvider, createReplayRegistry, recordProviders, providerRegistry } from './fixtures.js';
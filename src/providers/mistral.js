@@ -0,0 +1,61 @@
+import { Mistral } from "@mistralai/mistralai";
+import { BaseProvider } from './base.js';
+
+export class MistralProvider extends BaseProvider {
+    // client: a ready Mistral SDK instance (or a stand-in with chat.stream)
+    constructor(config, { apiKey, client = new Mistral({ apiKey }) }) {
+        super(config);
+        this.mistral = client;
+    }
+
+    async analyzeImage({ base64Image, mimeType = "image/jpeg", prompt, signal }) {
+        const { maxTokens = 1024, temperature = 0.8 } = this.config.analyze || {};
+        const result = await this.mistral.chat.stream({
+            model: this.visionModel,
+            messages: [
+                {
+                    role: "user",
+                    content: [
+                        { type: "text", text: prompt },
+                        {
+                            type: "image_url",
+                            imageUrl: `data:${mimeType};base64,${base64Image}`,
+                        },
+                    ]
+                }
+            ],
+            maxTokens,
+            temperature,
+        }, { fetchOptions: { signal } });
+
+        let response = "";
+        for await (const chunk of result) {
+            response += chunk.data.choices[0].delta.content ?? "";
+        }
+        return response;
+    }
+
+    async *stream(prompt, { signal, history = [] } = {}) {
+        const { maxTokens = 1024 * 128, temperature = 0.8 } = this.config.ask || {};
+        const result = await this.mistral.chat.stream({
+            model: this.model,
+            messages: [...history.map(({ role, content }) => ({ role, content })), { role: "user", content: prompt }],
+            maxTokens,
+            temperature,
+        }, { fetchOptions: { signal } });
+
+        let finishReason = null;
+        let usage = null;
+        for await (const chunk of result) {
+            const choice = chunk.data.choices[0];
+            const text = choice?.delta.content ?? "";
+            if (text) yield { type: 'text', text };
+            finishReason = choice?.finishReason ?? finishReason;
+            if (chunk.data.usage) {
+                const { promptTokens, completionTokens, totalTokens } = chunk.data.usage;
+                usage = { promptTokens, completionTokens, totalTokens };
+            }
+        }
+        yield { type: 'done', finishReason, usage };
+    }
+}
@@ -0,0 +1,88 @@
+import { BaseProvider } from './base.js';
+
+// Any server speaking the OpenAI chat completions API (llama.cpp, Ollama, vLLM, ...)
+export class OpenAICompatibleProvider extends BaseProvider {
+    // client: a fetch implementation, the global fetch by default
+    constructor(config, { apiKey, client = fetch }) {
+        super(config);
+        this.baseUrl = (config.baseUrl || "https://api.openai.com/v1").replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.fetch = client;
+    }
+
+    async request(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!response.ok) {
+            const error = new Error(`${this.id} request failed: ${response.status} ${await response.text()}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async analyzeImage({ base64Image, mimeType = "image/jpeg", prompt, signal }) {
+        const { maxTokens = 1024, temperature = 0.8 } = this.config.analyze || {};
+        const response = await this.request({
+            model: this.visionModel,
+            messages: [
+                {
+                    role: "user",
+                    content: [
+                        { type: "text", text: prompt },
+                        { type: "image_url", image_url: { url: `data:${mimeType};base64,${base64Image}` } }
+                    ]
+                }
+            ],
+            max_tokens: maxTokens,
+            temperature
+        }, signal);
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content ?? "";
+    }
+
+    async *stream(prompt, { signal, history = [] } = {}) {
+        const { maxTokens = 8192, temperature = 0.8 } = this.config.ask || {};
+        const response = await this.request({
+            model: this.model,
+            messages: [...history.map(({ role, content }) => ({ role, content })), { role: "user", content: prompt }],
+            max_tokens: maxTokens,
+            temperature,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, signal);
+
+        let finishReason = null;
+        let usage = null;
+        const decoder = new TextDecoder();
+        let buffer = "";
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!data || data === '[DONE]') continue;
+                const chunk = JSON.parse(data);
+                const choice = chunk.choices?.[0];
+                if (choice?.delta?.content) yield { type: 'text', text: choice.delta.content };
+                finishReason = choice?.finish_reason ?? finishReason;
+                if (chunk.usage) {
+                    usage = {
+                        promptTokens: chunk.usage.prompt_tokens,
+                        completionTokens: chunk.usage.completion_tokens,
+                        totalTokens: chunk.usage.total_tokens
+                    };
+                }
+            }
+        }
+        yield { type: 'done', finishReason, usage };
+    }
+}
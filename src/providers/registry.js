@@ -0,0 +1,98 @@
+import fs from 'fs';
+import { GeminiProvider } from './gemini.js';
+import { MistralProvider } from './mistral.js';
+import { OpenAICompatibleProvider } from './openai.js';
+
+const defaultConfigPath = new URL('../../models.config.json', import.meta.url);
+
+// Maps the "provider" field of models.config.json to a class
+const builtinKinds = {
+    gemini: GeminiProvider,
+    mistral: MistralProvider,
+    openai: OpenAICompatibleProvider
+};
+
+export function loadModelConfig(configPath = process.env.MODELS_CONFIG || defaultConfigPath) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+}
+
+export class ProviderRegistry {
+    constructor() {
+        this.kinds = new Map(Object.entries(builtinKinds));
+        this.providers = new Map();
+        // Configured models that could not be set up, id -> reason
+        this.unavailable = new Map();
+    }
+
+    registerKind(kind, ProviderClass) {
+        this.kinds.set(kind, ProviderClass);
+        return this;
+    }
+
+    // Register a ready-made provider instance (fakes in tests, custom backends)
+    register(provider) {
+        if (!provider?.id) throw new Error("Provider must have an id");
+        this.providers.set(provider.id.toUpperCase(), provider);
+        this.unavailable.delete(provider.id.toUpperCase());
+        return this;
+    }
+
+    unregister(id) {
+        return this.providers.delete(id?.toUpperCase());
+    }
+
+    // Normalizes a user supplied model name, returns undefined when unknown
+    resolve(id) {
+        const key = typeof id === 'string' ? id.toUpperCase() : undefined;
+        return this.providers.has(key) ? key : undefined;
+    }
+
+    get(id) {
+        const key = this.resolve(id);
+        if (!key) throw new Error(`Unknown model: ${id}`);
+        return this.providers.get(key);
+    }
+
+    ids() {
+        return [...this.providers.keys()];
+    }
+
+    list() {
+        return [...this.providers.values()].map(({ id, label }) => ({ id, label: label || id }));
+    }
+
+    // Readiness of every configured model
+    health() {
+        const models = this.list().map(({ id }) => ({ id, ready: true }));
+        for (const [id, reason] of this.unavailable) {
+            models.push({ id, ready: false, reason });
+        }
+        return { ready: models.length > 0 && models.every(model => model.ready), models };
+    }
+
+    // clients: SDK clients to use instead of building them, by model id (fakes in tests)
+    load(config, env = process.env, clients = {}) {
+        for (const modelConfig of config.models || []) {
+            if (modelConfig.enabled === false) continue;
+
+            const ProviderClass = this.kinds.get(modelConfig.provider);
+            if (!ProviderClass) throw new Error(`Unknown provider "${modelConfig.provider}" for ${modelConfig.id}`);
+
+            // A model without credentials is left out and reported by the readiness check
+            const apiKey = modelConfig.apiKeyEnv ? env[modelConfig.apiKeyEnv] : undefined;
+            const client = clients[modelConfig.id];
+            if (!apiKey && !modelConfig.apiKeyOptional && !client) {
+                const reason = `${modelConfig.label || modelConfig.id} API_KEY not found (${modelConfig.apiKeyEnv})`;
+                console.warn(`Model ${modelConfig.id} disabled: ${reason}`);
+                this.unavailable.set(modelConfig.id.toUpperCase(), reason);
+                continue;
+            }
+            this.register(new ProviderClass(modelConfig, { apiKey, client }));
+        }
+        return this;
+    }
+}
+
+export function createRegistry(config = loadModelConfig(), env = process.env, clients = {}) {
+    return new ProviderRegistry().load(config, env, clients);
+}
@@ -0,0 +1,219 @@
+import { isRateLimitError } from './metrics.js';
+
+// Errors from upstream model calls, carrying the HTTP status the API answers with
+export class ModelError extends Error {
+    constructor(message, { status = 502, code = 'upstream_error', model = null, retryable = false, retryAfter = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ModelError';
+        this.status = status;
+        this.code = code;
+        this.model = model;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+export function classifyError(error, model) {
+    if (error instanceof ModelError) return error;
+
+    const message = error?.message || String(error);
+    if (error?.name === 'TimeoutError') {
+        return new ModelError(`${model} did not answer in time`, { status: 504, code: 'timeout', model, retryable: true, cause: error });
+    }
+    if (isRateLimitError(error)) {
+        return new ModelError(`${model} rate limit exceeded, please try again later`, { status: 429, code: 'rate_limited', model, retryable: true, retryAfter: 30, cause: error });
+    }
+    const upstreamStatus = error?.status || error?.statusCode;
+    const retryable = upstreamStatus ? upstreamStatus >= 500 : /fetch failed|ECONNRESET|ETIMEDOUT|socket hang up|\b5\d\d\b/.test(message);
+    return new ModelError(`${model} error: ${message}`, { status: 502, code: 'upstream_error', model, retryable, cause: error });
+}
+
+// JSON body for any error: { status, error, code, model, retryAfter }
+export function errorBody(error) {
+    const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+    const body = { status, error: error.message, code: error.code || (status === 500 ? 'internal_error' : 'error') };
+    if (error.model) body.model = error.model;
+    if (error.retryAfter) body.retryAfter = error.retryAfter;
+    return body;
+}
+
+export function sendError(res, error) {
+    const body = errorBody(error);
+    if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+    res.status(body.status).json(body);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rejects with the abort reason, so providers that ignore the signal still time out
+function abortPromise(signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+}
+
+// Per-model circuit breaker: opens after `threshold` consecutive failures,
+// lets one trial call through after `cooldownMs`
+class CircuitBreaker {
+    constructor({ threshold = 5, cooldownMs = 30000 } = {}) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+    }
+
+    // Throws when calls are not allowed right now
+    enter(model) {
+        const state = this.state;
+        if (state === 'open' || (state === 'half_open' && this.trialInFlight)) {
+            const retryAfter = Math.ceil((this.cooldownMs - (Date.now() - this.openedAt)) / 1000);
+            throw new ModelError(`${model} is temporarily unavailable after repeated failures`, {
+                status: 503, code: 'circuit_open', model, retryAfter: Math.max(1, retryAfter)
+            });
+        }
+        if (state === 'half_open') this.trialInFlight = true;
+    }
+
+    success() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    failure() {
+        this.trialInFlight = false;
+        this.failures++;
+        if (this.openedAt !== null || this.failures >= this.threshold) {
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+const defaultPolicy = {
+    timeoutMs: 60000,
+    retries: 2,
+    backoffMs: 1000,
+    maxBackoffMs: 15000,
+    breakerThreshold: 5,
+    breakerCooldownMs: 30000
+};
+
+// Timeouts, retries with exponential backoff, circuit breaking and fallback chains
+// for upstream model calls. Configured by "resilience" in models.config.json:
+//   { defaults: {...policy}, models: { GEMINI: {...policy} }, fallback: { GEMINI: ["GEMINI_THINKING", "MIXTRAL"] } }
+export class Resilience {
+    constructor({ defaults = {}, models = {}, fallback = {} } = {}) {
+        this.defaults = { ...defaultPolicy, ...defaults };
+        this.overrides = models;
+        this.fallbacks = fallback;
+        this.breakers = new Map();
+    }
+
+    policy(model) {
+        return { ...this.defaults, ...this.overrides[model] };
+    }
+
+    breaker(model) {
+        if (!this.breakers.has(model)) {
+            const { breakerThreshold, breakerCooldownMs } = this.policy(model);
+            this.breakers.set(model, new CircuitBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs }));
+        }
+        return this.breakers.get(model);
+    }
+
+    // Models to try in order: the requested one, then its fallbacks when enabled
+    chain(model, fallback = true) {
+        return fallback ? [model, ...(this.fallbacks[model] || []).filter(id => id !== model)] : [model];
+    }
+
+    backoff(model, attempt, error) {
+        const { backoffMs, maxBackoffMs } = this.policy(model);
+        const delay = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+        const hinted = error.retryAfter ? error.retryAfter * 1000 : 0;
+        // Full jitter keeps parallel retries from hitting the provider together
+        return Math.min(maxBackoffMs, Math.max(hinted, Math.random() * delay));
+    }
+
+    // fn(signal) performs one upstream call; signal fires on timeout or when `signal` aborts
+    async call(model, fn, { signal } = {}) {
+        const { timeoutMs, retries } = this.policy(model);
+        const breaker = this.breaker(model);
+
+        for (let attempt = 0; ; attempt++) {
+            breaker.enter(model);
+            const attemptSignal = signal
+                ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)])
+                : AbortSignal.timeout(timeoutMs);
+            try {
+                const result = await Promise.race([fn(attemptSignal), abortPromise(attemptSignal)]);
+                breaker.success();
+                return result;
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                const modelError = classifyError(error, model);
+                breaker.failure();
+                if (!modelError.retryable || attempt >= retries) throw modelError;
+                await sleep(this.backoff(model, attempt, modelError));
+            }
+        }
+    }
+
+    // Same for a stream of events. The timeout covers the wait for the first event,
+    // and retries only happen before anything was yielded.
+    async *stream(model, makeStream, { signal } = {}) {
+        const { timeoutMs, retries } = this.policy(model);
+        const breaker = this.breaker(model);
+
+        for (let attempt = 0; ; attempt++) {
+            breaker.enter(model);
+            const controller = new AbortController();
+            const forwardAbort = () => controller.abort(signal.reason);
+            signal?.addEventListener('abort', forwardAbort, { once: true });
+            let started = false;
+            try {
+                const iterator = makeStream(controller.signal)[Symbol.asyncIterator]();
+                const timer = setTimeout(() => controller.abort(new DOMException(`${model} timed out`, 'TimeoutError')), timeoutMs);
+                let first;
+                try {
+                    first = await Promise.race([iterator.next(), abortPromise(controller.signal)]);
+                } finally {
+                    clearTimeout(timer);
+                }
+                started = true;
+                breaker.success();
+
+                for (let next = first; !next.done; next = await iterator.next()) {
+                    yield next.value;
+                }
+                return;
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                const modelError = classifyError(error, model);
+                breaker.failure();
+                if (started || !modelError.retryable || attempt >= retries) throw modelError;
+                await sleep(this.backoff(model, attempt, modelError));
+            } finally {
+                signal?.removeEventListener('abort', forwardAbort);
+            }
+        }
+    }
+
+    stats() {
+        return Object.fromEntries([...this.breakers].map(([model, breaker]) => [model, {
+            state: breaker.state,
+            consecutiveFailures: breaker.failures
+        }]));
+    }
+}
+
+// A failure worth trying the next model in the fallback chain for
+export function shouldFallBack(error) {
+    return error instanceof ModelError && ['rate_limited', 'timeout', 'upstream_error', 'circuit_open', 'invalid_response'].includes(error.code);
+}
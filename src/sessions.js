@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir, readJson, writeJson, removeFile } from './fileStore.js';
+
+export const HistoryStrategy = {
+    TRUNCATE: 'truncate',
+    SUMMARIZE: 'summarize'
+};
+
+// History policy, from models.config.json ("sessions"):
+//   maxMessages  most recent messages replayed to the model
+//   maxChars     upper bound on the replayed text
+//   strategy     "truncate" drops what falls outside the window,
+//                "summarize" folds it into a running summary first
+const defaultPolicy = { maxMessages: 40, maxChars: 60000, strategy: HistoryStrategy.TRUNCATE };
+
+// Conversations for /sessions, one JSON file per session under DATA_DIR/sessions.
+// The full transcript is kept; only a window of it is replayed to the model.
+export class SessionStore {
+    constructor({ dir = path.join(dataDir, 'sessions'), policy = {} } = {}) {
+        this.dir = dir;
+        this.policy = { ...defaultPolicy, ...policy };
+        this.sessions = new Map();
+        this.locks = new Map();
+    }
+
+    file(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    async init() {
+        await fs.mkdir(this.dir, { recursive: true });
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.json')) continue;
+            const session = await readJson(path.join(this.dir, file));
+            if (session) this.sessions.set(session.id, session);
+        }
+        return this;
+    }
+
+    async create({ model, title = null, owner = null }) {
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            model,
+            title,
+            owner,
+            messages: [],
+            summary: null,
+            summarizedCount: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.sessions.set(session.id, session);
+        await writeJson(this.file(session.id), session);
+        return session;
+    }
+
+    get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    list() {
+        return [...this.sessions.values()]
+            .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+            .map(({ id, model, title, owner, messages, createdAt, updatedAt }) => ({
+                id, model, title, owner, messageCount: messages.length, createdAt, updatedAt
+            }));
+    }
+
+    async remove(id) {
+        if (!this.sessions.delete(id)) return false;
+        await removeFile(this.file(id));
+        return true;
+    }
+
+    // Serializes work on one session so concurrent messages don't interleave
+    async withLock(id, fn) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        this.locks.set(id, current);
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(id) === current) this.locks.delete(id);
+        }
+    }
+
+    async append(session, messages) {
+        const now = new Date().toISOString();
+        session.messages.push(...messages.map(message => ({ ...message, createdAt: now })));
+        session.title = session.title || messages.find(({ role }) => role === 'user')?.content.slice(0, 60) || null;
+        session.updatedAt = now;
+        await writeJson(this.file(session.id), session);
+    }
+
+    // Index of the first message inside the replay window; the window always starts on a user turn
+    windowStart(session) {
+        const { maxMessages, maxChars } = this.policy;
+        const { messages } = session;
+        let start = Math.max(0, messages.length - maxMessages);
+        let chars = messages.slice(start).reduce((total, { content }) => total + content.length, 0);
+        while (start < messages.length && (chars > maxChars || messages[start].role !== 'user')) {
+            chars -= messages[start].content.length;
+            start++;
+        }
+        return start;
+    }
+
+    // Whether the next history() call folds messages into the summary (one more model call)
+    needsSummary(session) {
+        return this.policy.strategy === HistoryStrategy.SUMMARIZE && this.windowStart(session) > session.summarizedCount;
+    }
+
+    // Returns the history to replay, as [{ role, content }].
+    // summarize(text) is only called with the "summarize" strategy, for messages leaving the window.
+    async history(session, summarize) {
+        const start = this.windowStart(session);
+        const window = session.messages.slice(start).map(({ role, content }) => ({ role, content }));
+
+        if (this.needsSummary(session)) {
+            const dropped = session.messages.slice(session.summarizedCount, start)
+                .map(({ role, content }) => `${role}: ${content}`)
+                .join('\n');
+            session.summary = await summarize(session.summary
+                ? `Previous summary:\n${session.summary}\n\nNew messages:\n${dropped}`
+                : dropped);
+            session.summarizedCount = start;
+            await writeJson(this.file(session.id), session);
+        }
+
+        if (this.policy.strategy !== HistoryStrategy.SUMMARIZE || !session.summary) {
+            return window;
+        }
+        // Keep user/assistant alternation, which Gemini requires
+        return [
+            { role: 'user', content: `Summary of our earlier conversation:\n${session.summary}` },
+            { role: 'assistant', content: 'Understood, I will continue from there.' },
+            ...window
+        ];
+    }
+}
+
+export function summaryPrompt(transcript) {
+    return `Summarize the following conversation in a few sentences. Keep names, numbers, decisions and open questions. Reply with the summary only.
+
+${transcript}`;
+}
@@ -0,0 +1,71 @@
+import { daysInMonth, fromUTCDate, toUTCDate } from './dates.js';
+
+// Shelf life (保质期) parsing and expiration date derivation.
+// A shelf life is normalized to { value, unit, text } with unit one of day/week/month/year.
+
+const unitAliases = [
+    { unit: 'year', regex: /^(年|years?|yrs?|y)$/i },
+    { unit: 'month', regex: /^(个月|個月|月|months?|mos?|m)$/i },
+    { unit: 'week', regex: /^(周|週|星期|个星期|weeks?|wks?|w)$/i },
+    { unit: 'day', regex: /^(天|日|days?|d)$/i },
+];
+
+const specialCases = {
+    '半年': { value: 6, unit: 'month' },
+    '一年': { value: 1, unit: 'year' },
+    '两年': { value: 2, unit: 'year' },
+    '三年': { value: 3, unit: 'year' },
+};
+
+function resolveUnit(text) {
+    return unitAliases.find(({ regex }) => regex.test(text.trim()))?.unit;
+}
+
+// "1.5年" is 18 months; other fractions are rejected
+function toWholeUnits(value, unit, text) {
+    if (Number.isInteger(value)) return { value, unit, text };
+    if (unit === 'year' && Number.isInteger(value * 12)) return { value: value * 12, unit: 'month', text };
+    return null;
+}
+
+// Accepts "18个月", "18 months", "2年", "180天", "12M" or { value, unit }; returns null when unknown
+export function parseShelfLife(input) {
+    if (input === null || input === undefined || input === '') return null;
+
+    if (typeof input === 'object') {
+        const value = Number(input.value);
+        const unit = typeof input.unit === 'string' ? resolveUnit(input.unit) : undefined;
+        if (!Number.isFinite(value) || value <= 0 || !unit) return null;
+        return toWholeUnits(value, unit, input.text ?? `${value} ${unit}${value === 1 ? "" : "s"}`);
+    }
+
+    if (typeof input !== 'string') return null;
+    const text = input.trim();
+    const stripped = text.replace(/^(保质期|保質期|shelf\s*life)\s*[:：]?\s*/i, '').replace(/\s+/g, '');
+
+    if (specialCases[stripped]) {
+        return { ...specialCases[stripped], text };
+    }
+
+    const match = stripped.match(/^(\d+(?:\.\d+)?)(.+)$/);
+    if (!match) return null;
+    const value = Number(match[1]);
+    const unit = resolveUnit(match[2]);
+    if (!unit || value <= 0) return null;
+    return toWholeUnits(value, unit, text);
+}
+
+// Adds a shelf life to a { year, month, day } date; month arithmetic clamps to the end of the month
+export function addShelfLife(date, { value, unit }) {
+    if (unit === 'day' || unit === 'week') {
+        const result = toUTCDate(date);
+        result.setUTCDate(result.getUTCDate() + value * (unit === 'week' ? 7 : 1));
+        return fromUTCDate(result);
+    }
+
+    const months = unit === 'year' ? value * 12 : value;
+    const total = date.year * 12 + (date.month - 1) + months;
+    const year = Math.floor(total / 12);
+    const month = total % 12 + 1;
+    return { year, month, day: Math.min(date.day, daysInMonth(year, month)) };
+}
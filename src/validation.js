@@ -0,0 +1,150 @@
+import { parseDate, formatDate, compareDates, toUTCDate } from './dates.js';
+import { parseShelfLife, addShelfLife } from './shelfLife.js';
+import { parseBarcode } from './barcode.js';
+
+const dateFields = ['production_date', 'expiration_date'];
+// production_id is the lot or batch number
+const textFields = ['production_id', 'net_content', 'storage_conditions', 'manufacturer', 'additional_info'];
+// Keys read from the model output, anything else is dropped with a warning
+const resultFields = [...dateFields, ...textFields, 'shelf_life', 'barcode', 'evidence'];
+
+const messages = {
+    invalid_result: "Model output is not a JSON object",
+    invalid_type: "Date is not a string",
+    unrecognized_format: "Date format not recognized",
+    impossible_date: "Date does not exist in the calendar",
+    implausible_year: "Year is outside 1900-2100",
+    normalized: "Date was reformatted to YYYY.MM.DD",
+    same_day: "Production date and expiration date are the same day",
+    expiration_before_production: "Expiration date is before production date",
+    unrecognized_shelf_life: "Shelf life not recognized",
+    derived: "Expiration date derived from production date and shelf life",
+    shelf_life_mismatch: "Expiration date does not match production date plus shelf life",
+    unrecognized_barcode: "Barcode is not an 8, 12, 13 or 14 digit GTIN",
+    invalid_checksum: "Barcode check digit does not match",
+    unknown_field: "Field is not part of the analysis and was dropped"
+};
+
+// Tolerance in days when checking a printed expiration date against the shelf life
+const shelfLifeToleranceDays = 3;
+
+function warning(field, code, value) {
+    return { field, code, message: messages[code], value: value ?? null };
+}
+
+// Checks model output against the rules of the extraction prompt.
+// Returns the normalized result and a list of warnings; rejected values are set to null.
+export function validateAnalysis(result) {
+    const warnings = [];
+
+    if (Array.isArray(result) && result.length === 1) {
+        result = result[0];
+    }
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        warnings.push(warning(null, 'invalid_result', result));
+        result = {};
+    }
+
+    for (const field of Object.keys(result)) {
+        if (!resultFields.includes(field)) warnings.push(warning(field, 'unknown_field', result[field]));
+    }
+
+    const data = {};
+    const parsed = {};
+
+    for (const field of dateFields) {
+        const value = result[field];
+        data[field] = null;
+        if (value === null || value === undefined || value === '') continue;
+
+        const date = parseDate(value);
+        if (date.error) {
+            warnings.push(warning(field, date.error, value));
+            continue;
+        }
+        data[field] = formatDate(date);
+        parsed[field] = date;
+        if (data[field] !== value) {
+            warnings.push(warning(field, 'normalized', value));
+        }
+    }
+
+    for (const field of textFields) {
+        const value = result[field];
+        data[field] = value === null || value === undefined || value === '' ? null : String(value);
+    }
+
+    data.shelf_life = parseShelfLife(result.shelf_life);
+    if (data.shelf_life === null && result.shelf_life !== null && result.shelf_life !== undefined && result.shelf_life !== '') {
+        warnings.push(warning('shelf_life', 'unrecognized_shelf_life', result.shelf_life));
+    }
+
+    data.barcode = null;
+    const barcode = parseBarcode(result.barcode);
+    if (barcode?.valid) {
+        data.barcode = barcode.value;
+    } else if (result.barcode !== null && result.barcode !== undefined && result.barcode !== '') {
+        warnings.push(warning('barcode', barcode ? 'invalid_checksum' : 'unrecognized_barcode', result.barcode));
+    }
+
+    data.derived_fields = [];
+    if (parsed.production_date && data.shelf_life) {
+        const expected = addShelfLife(parsed.production_date, data.shelf_life);
+        if (!parsed.expiration_date) {
+            parsed.expiration_date = expected;
+            data.expiration_date = formatDate(expected);
+            data.derived_fields.push('expiration_date');
+            warnings.push(warning('expiration_date', 'derived', data.expiration_date));
+        } else {
+            const days = Math.abs(toUTCDate(parsed.expiration_date) - toUTCDate(expected)) / 86400000;
+            if (days > shelfLifeToleranceDays) {
+                warnings.push(warning('expiration_date', 'shelf_life_mismatch', data.expiration_date));
+            }
+        }
+    }
+
+    if (parsed.production_date && parsed.expiration_date) {
+        const diff = compareDates(parsed.expiration_date, parsed.production_date);
+        if (diff === 0) {
+            warnings.push(warning('expiration_date', 'same_day', data.expiration_date));
+        } else if (diff < 0) {
+            warnings.push(warning('expiration_date', 'expiration_before_production', data.expiration_date));
+        }
+    }
+
+    data.evidence = parseEvidence(result.evidence, data);
+
+    return { data, warnings };
+}
+
+const evidenceFields = [...dateFields, ...textFields, 'shelf_life', 'barcode'];
+const clamp = value => Math.min(1, Math.max(0, value));
+
+// Where and how sure: { field: { confidence, box } } for fields that have a value.
+// The model reports confidence 0-1 and box as [ymin, xmin, ymax, xmax] on a 0-1000 grid;
+// box becomes { x, y, width, height } in fractions of the image the model was sent
+// (after rotation and roi cropping). Missing or malformed parts are null.
+function parseEvidence(evidence, data) {
+    if (!evidence || typeof evidence !== 'object' || Array.isArray(evidence)) return {};
+
+    const parsed = {};
+    for (const [field, item] of Object.entries(evidence)) {
+        if (!evidenceFields.includes(field) || data[field] === null || !item || typeof item !== 'object') continue;
+
+        let confidence = Number(item.confidence);
+        // Some models answer in percent
+        if (confidence > 1 && confidence <= 100) confidence /= 100;
+        confidence = item.confidence === null || !Number.isFinite(confidence) ? null : clamp(confidence);
+
+        let box = null;
+        if (Array.isArray(item.box) && item.box.length === 4 && item.box.every(Number.isFinite)) {
+            const [ymin, xmin, ymax, xmax] = item.box.map(value => clamp(value / 1000));
+            if (xmax > xmin && ymax > ymin) {
+                const round = value => Number(value.toFixed(4));
+                box = { x: round(xmin), y: round(ymin), width: round(xmax - xmin), height: round(ymax - ymin) };
+            }
+        }
+        parsed[field] = { confidence, box };
+    }
+    return parsed;
+}
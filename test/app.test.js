@@ -0,0 +1,802 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import AdmZip from 'adm-zip';
+import { createTestApp, labelImage, removeTempDirs } from './helpers.js';
+import { FixtureStore, createReplayRegistry, recordProviders, createRegistry } from '../src/providers/index.js';
+import { createApp } from '../src/app.js';
+
+const labelAnswer = JSON.stringify({
+    production_date: '2024-08-20',
+    expiration_date: null,
+    shelf_life: '12个月',
+    production_id: 'A1',
+    note: 'not a field'
+});
+const fencedAnswer = text => '```json\n' + text + '\n```';
+
+// Reads a streamed body as text, whatever its content type
+const rawText = (res, cb) => {
+    let text = '';
+    res.setEncoding('utf-8');
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => cb(null, text));
+};
+
+beforeAll(() => {
+    // Failing requests are logged by the routes
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(async () => {
+    jest.restoreAllMocks();
+    await removeTempDirs();
+});
+
+describe('POST /analyze', () => {
+    let ctx;
+    let image;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ answers: { GEMINI: fencedAnswer(labelAnswer) } });
+        image = await labelImage();
+    });
+
+    test('requires an API key', async () => {
+        const res = await request(ctx.app).post('/analyze').attach('image', image, 'label.png');
+        expect(res.status).toBe(401);
+    });
+
+    test('normalizes the answer and reports dropped keys', async () => {
+        const res = await request(ctx.app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'gemini')
+            .attach('image', image, 'label.png');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            production_date: '2024.08.20',
+            expiration_date: '2025.08.20',
+            production_id: 'A1',
+            shelf_life: { value: 12, unit: 'month' },
+            derived_fields: ['expiration_date']
+        });
+        expect(res.body.data).not.toHaveProperty('note');
+        expect(res.body.warnings.map(({ code }) => code)).toEqual(expect.arrayContaining(['unknown_field', 'normalized', 'derived']));
+        expect(res.body.meta).toMatchObject({ model: 'GEMINI', cache: 'miss' });
+    });
+
+    test('answers a repeated request from the cache', async () => {
+        const send = () => request(ctx.app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'GEMINI')
+            .attach('image', image, 'label.png');
+        await send();
+        const res = await send();
+        expect(res.status).toBe(200);
+        expect(res.headers['x-cache']).toBe('HIT');
+    });
+
+    test('rejects bad requests without charging the quota', async () => {
+        const remaining = () => ctx.apiKeys.remaining(ctx.apiKeys.get(ctx.key.id));
+        const before = remaining();
+        const noImage = await request(ctx.app).post('/analyze').set('X-API-Key', ctx.secret).field('model', 'GEMINI');
+        expect(noImage.status).toBe(400);
+        const badModel = await request(ctx.app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'NOPE')
+            .attach('image', image, 'label.png');
+        expect(badModel.status).toBe(400);
+        expect(badModel.body.error).toMatch(/Invalid model type/);
+        expect(remaining()).toBe(before);
+    });
+
+    test('reports a model without a recorded answer', async () => {
+        const res = await request(ctx.app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'MIXTRAL')
+            .field('fallback', 'false')
+            .attach('image', image, 'label.png');
+        expect(res.status).toBe(502);
+        expect(res.body.code).toBe('fixture_missing');
+    });
+
+    test('returns evidence only from a prompt that asks for it', async () => {
+        ctx.store.answers.GEMINI = JSON.stringify({
+            production_date: '2024.08.20',
+            barcode: '6901234567892',
+            evidence: {
+                production_date: { confidence: 95, box: [100, 200, 300, 600] },
+                barcode: { confidence: 0.8, box: null },
+                expiration_date: { confidence: 0.5, box: [0, 0, 10, 10] }
+            }
+        });
+        const analyze = (fields, value) => request(ctx.app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .set('Cache-Control', 'no-cache')
+            .field('model', 'GEMINI')
+            .field(fields, value)
+            .attach('image', image, 'label.png');
+
+        const withFields = await analyze('fields', 'production_date,barcode');
+        expect(withFields.status).toBe(200);
+        expect(withFields.body.meta.promptVersion).toBe('date-extraction-v4');
+        expect(withFields.body.data.evidence).toEqual({
+            production_date: { confidence: 0.95, box: { x: 0.2, y: 0.1, width: 0.4, height: 0.2 } },
+            barcode: { confidence: 0.8, box: null }
+        });
+
+        const pinned = await analyze('prompt_version', 'v4');
+        expect(pinned.body.meta.promptVersion).toBe('date-extraction-v4');
+
+        // The default prompt (v2) does not ask for evidence
+        const byDefault = await analyze('locale', 'en');
+        expect(byDefault.body.meta.promptVersion).toBe('date-extraction-v2');
+        ctx.store.answers.GEMINI = JSON.stringify({ production_date: '2024.08.20' });
+        const plain = await analyze('locale', 'en');
+        expect(plain.body.data.evidence).toEqual({});
+        ctx.store.answers.GEMINI = fencedAnswer(labelAnswer);
+    });
+});
+
+describe('POST /compareAnalyze', () => {
+    test('asks every model and builds a consensus', async () => {
+        const ctx = await createTestApp({
+            answers: {
+                GEMINI: labelAnswer,
+                GEMINI_THINKING: labelAnswer,
+                MIXTRAL: JSON.stringify({ production_date: '2024.08.21', expiration_date: null })
+            }
+        });
+        const res = await request(ctx.app)
+            .post('/compareAnalyze')
+            .set('X-API-Key', ctx.secret)
+            .attach('image', await labelImage(), 'label.png');
+
+        expect(res.status).toBe(200);
+        expect(res.body.results.map(({ model }) => model).sort()).toEqual(['GEMINI', 'GEMINI_THINKING', 'MIXTRAL']);
+        expect(res.body.consensus.strategy).toBe('majority');
+        expect(res.body.consensus.fields.production_date).toMatchObject({ value: '2024.08.20', agreement: 2 / 3 });
+        expect(res.body.datas).toHaveLength(3);
+    });
+});
+
+describe('API keys', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ answers: { GEMINI: labelAnswer }, env: { ADMIN_TOKEN: 'admin-secret' }, keyOptions: { dailyQuota: 2 } });
+    });
+
+    const admin = (method, url) => request(ctx.app)[method](url).set('Authorization', 'Bearer admin-secret');
+
+    test('accepts the key as a bearer token, header or query parameter', async () => {
+        for (const req of [
+            request(ctx.app).get('/usage').set('Authorization', `Bearer ${ctx.secret}`),
+            request(ctx.app).get('/usage').set('X-API-Key', ctx.secret),
+            request(ctx.app).get('/usage').query({ api_key: ctx.secret })
+        ]) {
+            expect((await req).status).toBe(200);
+        }
+    });
+
+    test('answers 401 as JSON for a repeated api_key parameter', async () => {
+        const res = await request(ctx.app).get(`/usage?api_key=${ctx.secret}&api_key=other`);
+        expect(res.status).toBe(401);
+        expect(res.body).toEqual({ status: 401, error: "Missing or invalid API key" });
+
+        const adminRes = await request(ctx.app).get('/admin/keys?api_key=admin-secret&api_key=admin-secret');
+        expect(adminRes.status).toBe(401);
+        expect(adminRes.body).toEqual({ status: 401, error: "Invalid admin token" });
+    });
+
+    test('answers 429 once the daily quota is used up', async () => {
+        const image = await labelImage('#eeeeee');
+        const analyze = () => request(ctx.app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'GEMINI')
+            .field('profile', 'standard')
+            .field('cache', 'false')
+            .attach('image', image, 'label.png');
+
+        const first = await analyze();
+        expect(first.status).toBe(200);
+        expect(first.headers['x-quota-remaining']).toBe('1');
+        expect((await analyze()).headers['x-quota-remaining']).toBe('0');
+
+        const refused = await analyze();
+        expect(refused.status).toBe(429);
+        expect(refused.body).toEqual({
+            status: 429,
+            error: "Daily quota exceeded",
+            quota: { dailyQuota: 2, remaining: 0, cost: 1 }
+        });
+
+        const usage = await request(ctx.app).get('/usage').set('X-API-Key', ctx.secret);
+        expect(usage.body.data).toMatchObject({ name: 'test', dailyQuota: 2, remainingToday: 0, usage: { requests: 2, modelCalls: 2 } });
+    });
+
+    test('issues, lists, updates and revokes keys', async () => {
+        const issued = await admin('post', '/admin/keys').send({ name: 'partner', rateLimit: 5, dailyQuota: 50 });
+        expect(issued.status).toBe(201);
+        const { id, secret } = issued.body.data;
+        expect(secret).toMatch(/^ak_/);
+        expect(issued.body.data).not.toHaveProperty('hash');
+        expect((await request(ctx.app).get('/usage').set('X-API-Key', secret)).status).toBe(200);
+
+        const listed = await admin('get', '/admin/keys');
+        expect(listed.body.data.map(key => key.name)).toEqual(['test', 'partner']);
+        expect(listed.body.data[1]).toMatchObject({ id, rateLimit: 5, dailyQuota: 50, remainingToday: 50, revokedAt: null });
+
+        const updated = await admin('patch', `/admin/keys/${id}`).send({ dailyQuota: 80 });
+        expect(updated.body.data.dailyQuota).toBe(80);
+        expect((await admin('get', `/admin/keys/${id}`)).body.data.remainingToday).toBe(80);
+
+        const revoked = await admin('delete', `/admin/keys/${id}`);
+        expect(revoked.status).toBe(200);
+        expect(revoked.body.data.revokedAt).toEqual(expect.any(String));
+        expect((await request(ctx.app).get('/usage').set('X-API-Key', secret)).status).toBe(401);
+    });
+
+    test('answers 404 for unknown keys', async () => {
+        for (const method of ['get', 'patch', 'delete']) {
+            const res = await admin(method, '/admin/keys/nope');
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe("Key not found");
+        }
+    });
+
+    test('requires the admin token', async () => {
+        expect((await request(ctx.app).get('/admin/keys').set('X-API-Key', ctx.secret)).status).toBe(401);
+        const disabled = await createTestApp();
+        const res = await request(disabled.app).get('/admin/keys').set('Authorization', 'Bearer admin-secret');
+        expect(res.status).toBe(403);
+        expect(res.body.error).toMatch(/ADMIN_TOKEN/);
+    });
+});
+
+describe('POST /batchAnalyze', () => {
+    let ctx;
+    let image;
+
+    beforeAll(async () => {
+        image = await labelImage();
+        ctx = await createTestApp({
+            answers: { GEMINI: labelAnswer },
+            env: { UPLOAD_MAX_BYTES: String(image.length + 100), BATCH_MAX_BYTES: String(image.length * 3) }
+        });
+    });
+
+    const batch = (secret = ctx.secret) => request(ctx.app).post('/batchAnalyze').set('X-API-Key', secret).field('model', 'GEMINI');
+    const zip = entries => {
+        const archive = new AdmZip();
+        for (const [name, buffer] of entries) archive.addFile(name, buffer);
+        return archive.toBuffer();
+    };
+
+    test('analyzes images and ZIP entries', async () => {
+        const res = await batch()
+            .attach('images', image, 'a.png')
+            .attach('archive', zip([['b.png', image], ['notes.txt', Buffer.from('x')]]), { filename: 'b.zip', contentType: 'application/zip' });
+        expect(res.status).toBe(200);
+        expect(res.body.summary).toEqual({ total: 2, succeeded: 2, failed: 0 });
+    });
+
+    test('answers 413 for ZIP entries that unpack too large', async () => {
+        const res = await batch().attach('archive', zip([['big.png', Buffer.alloc(image.length * 2)]]), { filename: 'big.zip', contentType: 'application/zip' });
+        expect(res.status).toBe(413);
+        expect(res.body.error).toMatch(/big\.png unpacks to/);
+    });
+
+    test('answers 413 when the images add up to too much', async () => {
+        // Batches get two requests a minute per key
+        const { secret } = await ctx.apiKeys.issue({ name: 'second' });
+        let req = batch(secret);
+        for (let i = 0; i < 4; i++) req = req.attach('images', image, `${i}.png`);
+        const res = await req;
+        expect(res.status).toBe(413);
+    });
+});
+
+describe('/jobs', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ answers: { GEMINI: labelAnswer, GEMINI_THINKING: labelAnswer, MIXTRAL: labelAnswer } });
+    });
+
+    async function finished(url) {
+        let job;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            job = (await request(ctx.app).get(url).set('X-API-Key', ctx.secret)).body.data;
+            if (job.status === 'succeeded' || job.status === 'failed') break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return job;
+    }
+
+    test('runs an analysis in the background', async () => {
+        const submitted = await request(ctx.app)
+            .post('/jobs/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'GEMINI')
+            .attach('image', await labelImage(), 'label.png');
+        expect(submitted.status).toBe(202);
+        expect(submitted.body.data.url).toBe(`/jobs/${submitted.body.data.id}`);
+
+        const job = await finished(submitted.body.data.url);
+        expect(job.status).toBe('succeeded');
+        expect(job.result.data.production_date).toBe('2024.08.20');
+    });
+
+    test('runs a comparison in the background', async () => {
+        const submitted = await request(ctx.app)
+            .post('/jobs/compareAnalyze')
+            .set('X-API-Key', ctx.secret)
+            .attach('image', await labelImage('#ddeeff'), 'label.png');
+        expect(submitted.status).toBe(202);
+        expect(submitted.body.data.type).toBe('compareAnalyze');
+
+        const job = await finished(submitted.body.data.url);
+        expect(job.status).toBe('succeeded');
+        expect(job.result.results.map(({ model }) => model).sort()).toEqual(['GEMINI', 'GEMINI_THINKING', 'MIXTRAL']);
+        expect(job.result.consensus.fields.production_date).toMatchObject({ value: '2024.08.20', agreement: 1 });
+    });
+
+    test('rejects job requests without an image', async () => {
+        for (const url of ['/jobs/analyze', '/jobs/compareAnalyze']) {
+            const res = await request(ctx.app).post(url).set('X-API-Key', ctx.secret).field('model', 'GEMINI');
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe("No image file provided");
+        }
+        expect((await request(ctx.app).get('/jobs/nope').set('X-API-Key', ctx.secret)).status).toBe(404);
+    });
+
+    test('refuses callbacks into the local network', async () => {
+        const res = await request(ctx.app)
+            .post('/jobs/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'GEMINI')
+            .field('callback_url', 'http://169.254.169.254/latest/meta-data')
+            .attach('image', await labelImage(), 'label.png');
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/link-local or private/);
+    });
+
+    test('hides jobs of other keys', async () => {
+        const { secret } = await ctx.apiKeys.issue({ name: 'other' });
+        const submitted = await request(ctx.app)
+            .post('/jobs/analyze')
+            .set('X-API-Key', ctx.secret)
+            .field('model', 'GEMINI')
+            .attach('image', await labelImage(), 'label.png');
+        const res = await request(ctx.app).get(`/jobs/${submitted.body.data.id}`).set('X-API-Key', secret);
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('POST /ask', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ answers: { GEMINI: 'Hello there' } });
+    });
+
+    const ask = body => request(ctx.app).post('/ask').set('X-API-Key', ctx.secret).send(body);
+
+    test('answers as JSON', async () => {
+        const res = await ask({ prompt: 'Hi', model: 'GEMINI' });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ response: 'Hello there', finishReason: 'stop' });
+        expect(res.body.meta.model).toBe('GEMINI');
+    });
+
+    test('requires a prompt', async () => {
+        const res = await ask({ model: 'GEMINI' });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('No prompt provided');
+    });
+
+    test('streams Server-Sent Events', async () => {
+        const res = await ask({ prompt: 'Stream please', model: 'GEMINI', stream: true }).buffer(true).parse(rawText);
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+        expect(res.body).toContain('event: token\ndata: {"text":"Hello there"}');
+        const done = res.body.split('\n\n').find(block => block.startsWith('event: done'));
+        expect(JSON.parse(done.split('data: ')[1])).toMatchObject({ finishReason: 'stop', model: 'GEMINI' });
+    });
+
+    test('streams NDJSON', async () => {
+        const res = await ask({ prompt: 'Lines please', model: 'GEMINI', stream: 'ndjson' }).buffer(true).parse(rawText);
+        expect(res.status).toBe(200);
+        const events = res.body.trim().split('\n').map(line => JSON.parse(line));
+        expect(events.map(({ event }) => event)).toEqual(['token', 'done']);
+        expect(events[0].text).toBe('Hello there');
+    });
+
+    test('sends stream errors as an error event', async () => {
+        const res = await ask({ prompt: 'Hi', model: 'MIXTRAL', stream: 'ndjson', fallback: false }).buffer(true).parse(rawText);
+        const events = res.body.trim().split('\n').map(line => JSON.parse(line));
+        expect(events.at(-1)).toMatchObject({ event: 'error', code: 'fixture_missing' });
+    });
+});
+
+describe('/sessions', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ answers: { GEMINI: 'Noted.' } });
+    });
+
+    const api = (method, url) => request(ctx.app)[method](url).set('X-API-Key', ctx.secret);
+
+    test('creates a session and keeps its messages', async () => {
+        const created = await api('post', '/sessions').send({ model: 'gemini', title: 'Pantry' });
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ model: 'GEMINI', title: 'Pantry', messages: [], owner: ctx.key.id });
+        const { id } = created.body.data;
+
+        const first = await api('post', `/sessions/${id}/messages`).send({ prompt: 'Remember milk' });
+        expect(first.status).toBe(200);
+        expect(first.body.data.response).toBe('Noted.');
+        expect(first.body.meta).toMatchObject({ model: 'GEMINI', sessionId: id, messageCount: 2 });
+
+        const streamed = await api('post', `/sessions/${id}/messages`)
+            .send({ prompt: 'And eggs', stream: 'ndjson' })
+            .buffer(true)
+            .parse(rawText);
+        const done = streamed.body.trim().split('\n').map(line => JSON.parse(line)).at(-1);
+        expect(done).toMatchObject({ event: 'done', sessionId: id, messageCount: 4 });
+
+        const session = await api('get', `/sessions/${id}`);
+        expect(session.body.data.messages.map(({ role, content }) => `${role}: ${content}`)).toEqual([
+            'user: Remember milk', 'assistant: Noted.', 'user: And eggs', 'assistant: Noted.'
+        ]);
+        // The second message replays the first exchange, so it is a different request
+        const keys = ctx.store.reads.filter(({ model }) => model === 'GEMINI').map(({ key }) => key);
+        expect(new Set(keys).size).toBe(2);
+    });
+
+    test('validates the model and the prompt', async () => {
+        const badModel = await api('post', '/sessions').send({ model: 'NOPE' });
+        expect(badModel.status).toBe(400);
+        expect(badModel.body.error).toMatch(/Invalid model type/);
+
+        const { id } = (await api('post', '/sessions').send({ model: 'GEMINI' })).body.data;
+        const noPrompt = await api('post', `/sessions/${id}/messages`).send({});
+        expect(noPrompt.status).toBe(400);
+        expect(noPrompt.body.error).toBe('No prompt provided');
+    });
+
+    test('lists, hides and deletes sessions per key', async () => {
+        const { id } = (await api('post', '/sessions').send({ model: 'GEMINI', title: 'Mine' })).body.data;
+        const { secret } = await ctx.apiKeys.issue({ name: 'other' });
+
+        const mine = await api('get', '/sessions');
+        expect(mine.body.data.map(session => session.id)).toContain(id);
+        const theirs = await request(ctx.app).get('/sessions').set('X-API-Key', secret);
+        expect(theirs.body.data).toEqual([]);
+        for (const [method, url] of [['get', `/sessions/${id}`], ['delete', `/sessions/${id}`], ['post', `/sessions/${id}/messages`]]) {
+            const res = await request(ctx.app)[method](url).set('X-API-Key', secret).send({ prompt: 'Hi' });
+            expect(res.status).toBe(404);
+        }
+
+        const deleted = await api('delete', `/sessions/${id}`);
+        expect(deleted.body.data).toEqual({ id, deleted: true });
+        expect((await api('get', `/sessions/${id}`)).status).toBe(404);
+    });
+});
+
+describe('models, prompts and status', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ env: { ADMIN_TOKEN: 'admin-secret' } });
+    });
+
+    test('lists the models', async () => {
+        const res = await request(ctx.app).get('/models');
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(expect.arrayContaining([{ id: 'GEMINI', label: 'GEMINI' }, { id: 'MIXTRAL', label: 'MIXTRAL' }]));
+    });
+
+    test('lists prompt templates and reloads them', async () => {
+        const res = await request(ctx.app).get('/prompts').set('X-API-Key', ctx.secret);
+        expect(res.status).toBe(200);
+        const extraction = res.body.data.find(({ name }) => name === 'date-extraction');
+        expect(extraction).toMatchObject({ default: 'v2', versions: expect.arrayContaining(['v2', 'v3', 'v4']) });
+
+        expect((await request(ctx.app).post('/admin/prompts/reload').set('X-API-Key', ctx.secret)).status).toBe(401);
+        const reloaded = await request(ctx.app).post('/admin/prompts/reload').set('Authorization', 'Bearer admin-secret');
+        expect(reloaded.status).toBe(200);
+        expect(reloaded.body.data).toEqual(res.body.data);
+    });
+
+    test('reports status', async () => {
+        const res = await request(ctx.app).get('/status');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            status: 'running',
+            jobs: { queued: 0, running: 0, concurrency: 1 },
+            dictionary: { words: 0 }
+        });
+        expect(res.body.models.every(model => model.ready)).toBe(true);
+        expect(res.body).toHaveProperty('cache');
+        expect(res.body).toHaveProperty('resilience');
+    });
+
+    test('exposes Prometheus metrics', async () => {
+        await request(ctx.app).get('/health/live');
+        const res = await request(ctx.app).get('/metrics');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/plain/);
+        expect(res.text).toContain('# TYPE http_requests_total counter');
+        expect(res.text).toContain('model_calls_total');
+    });
+
+    test('answers liveness and readiness', async () => {
+        expect((await request(ctx.app).get('/health/live')).body).toEqual({ status: 'ok' });
+        const ready = await request(ctx.app).get('/health/ready');
+        expect(ready.status).toBe(200);
+        expect(ready.body).toMatchObject({ status: 'ready', ready: true });
+    });
+
+    test('is not ready while a model has no API key', async () => {
+        const keyless = await createTestApp({ registry: createRegistry(ctx.config, {}) });
+        const res = await request(keyless.app).get('/health/ready');
+        expect(res.status).toBe(503);
+        expect(res.body.status).toBe('not ready');
+        expect(res.body.models.find(({ id }) => id === 'GEMINI')).toEqual({ id: 'GEMINI', ready: false, reason: 'GEMINI API_KEY not found (API_KEY6)' });
+    });
+
+    test('reports usage of the calling key', async () => {
+        expect((await request(ctx.app).get('/usage')).status).toBe(401);
+        const res = await request(ctx.app).get('/usage').set('X-API-Key', ctx.secret);
+        expect(res.body.data).toMatchObject({ name: 'test', rateLimit: 1000, dailyQuota: 1000, remainingToday: 1000 });
+        expect(res.body.data).not.toHaveProperty('hash');
+    });
+});
+
+describe('/labels', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp();
+    });
+
+    const save = async fields => request(ctx.app)
+        .post('/labels')
+        .set('X-API-Key', ctx.secret)
+        .field('fields', JSON.stringify(fields))
+        .field('predictions', JSON.stringify({ GEMINI: { production_date: '2024.08.20' } }))
+        .attach('image', await labelImage('#ffeedd'), { filename: 'label.png', contentType: 'image/png' });
+
+    test('saves reviewed values as a dataset item', async () => {
+        const res = await save({ production_date: '2024-08-20', shelf_life: '18个月', barcode: '6901234567892' });
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({
+            production_date: '2024.08.20',
+            expiration_date: null,
+            barcode: '6901234567892',
+            image: expect.stringMatching(/^images\/.+\.png$/)
+        });
+        await expect(fs.stat(path.join(ctx.dir, 'labels', res.body.data.image))).resolves.toBeTruthy();
+
+        const list = await request(ctx.app).get('/labels').set('X-API-Key', ctx.secret);
+        expect(list.body.data.map(({ id }) => id)).toContain(res.body.data.id);
+    });
+
+    test('rejects unknown fields and unreadable dates', async () => {
+        const unknown = await save({ production_date: '2024.08.20', note: 'x' });
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.error).toMatch(/Unknown fields note/);
+        const badDate = await save({ production_date: 'soon' });
+        expect(badDate.status).toBe(400);
+    });
+
+    test('deletes a label and its image', async () => {
+        const { body } = await save({ expiration_date: '2025.01.01' });
+        const res = await request(ctx.app).delete(`/labels/${body.data.id}`).set('X-API-Key', ctx.secret);
+        expect(res.status).toBe(200);
+        await expect(fs.stat(path.join(ctx.dir, 'labels', body.data.image))).rejects.toThrow();
+        const again = await request(ctx.app).delete(`/labels/${body.data.id}`).set('X-API-Key', ctx.secret);
+        expect(again.status).toBe(404);
+    });
+});
+
+describe('/inventory', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp({ answers: { GEMINI: labelAnswer } });
+    });
+
+    const create = body => request(ctx.app).post('/inventory/items').set('X-API-Key', ctx.secret).send(body);
+
+    test('creates, lists, updates and deletes items', async () => {
+        const milk = await create({ name: 'Milk', expiration_date: '2025-01-10' });
+        expect(milk.status).toBe(201);
+        expect(milk.body.data.expiration_date).toBe('2025.01.10');
+        await create({ name: 'Rice', production_date: '2024.01.01', shelf_life: '24个月' });
+
+        const expiring = await request(ctx.app)
+            .get('/inventory/items')
+            .query({ state: 'expiring', date: '2025.01.05', days: 7 })
+            .set('X-API-Key', ctx.secret);
+        expect(expiring.status).toBe(200);
+        expect(expiring.body.data.map(({ name }) => name)).toEqual(['Milk']);
+        expect(expiring.body.data[0].expiry).toEqual({ state: 'expiring', daysLeft: 5 });
+
+        const updated = await request(ctx.app)
+            .patch(`/inventory/items/${milk.body.data.id}`)
+            .set('X-API-Key', ctx.secret)
+            .send({ status: 'consumed' });
+        expect(updated.body.data.status).toBe('consumed');
+
+        const removed = await request(ctx.app).delete(`/inventory/items/${milk.body.data.id}`).set('X-API-Key', ctx.secret);
+        expect(removed.status).toBe(200);
+        const missing = await request(ctx.app).get(`/inventory/items/${milk.body.data.id}`).set('X-API-Key', ctx.secret);
+        expect(missing.status).toBe(404);
+    });
+
+    test('rejects invalid items', async () => {
+        expect((await create({ expiration_date: '2025.01.10' })).status).toBe(400);
+        expect((await create({ name: 'Jam', expiration_date: '0000.01.01' })).status).toBe(400);
+    });
+
+    test('adds a scanned label with its dates', async () => {
+        const res = await request(ctx.app)
+            .post('/inventory/scan')
+            .set('X-API-Key', ctx.secret)
+            .field('name', 'Biscuits')
+            .field('model', 'GEMINI')
+            .attach('image', await labelImage('#ddeeff'), 'label.png');
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({
+            name: 'Biscuits',
+            production_date: '2024.08.20',
+            expiration_date: '2025.08.20',
+            production_id: 'A1',
+            derived_fields: ['expiration_date'],
+            source: { model: 'GEMINI' }
+        });
+    });
+
+    test('builds a digest for a day', async () => {
+        await create({ name: 'Yogurt', expiration_date: '2025.03.01' });
+        const res = await request(ctx.app).get('/inventory/digest').query({ date: '2025.03.02' }).set('X-API-Key', ctx.secret);
+        expect(res.status).toBe(200);
+        expect(res.body.data.date).toBe('2025.03.02');
+        expect(res.body.data.expired.map(({ name }) => name)).toContain('Yogurt');
+    });
+});
+
+describe('/dictionary', () => {
+    let ctx;
+    const entry = (word, translation, extra = {}) => ({
+        word,
+        phonetic: '/x/',
+        translation,
+        examples: [{ en: `An example with ${word}.`, zh: `${translation}的例句。` }],
+        synonyms: [],
+        antonyms: [],
+        ...extra
+    });
+
+    beforeAll(async () => {
+        ctx = await createTestApp({
+            dictionaryEntries: [
+                entry('happy', 'adj. 快乐的', { synonyms: ['glad', 'cheerful'], antonyms: ['sad'] }),
+                entry('glad', 'adj. 高兴的', { synonyms: ['happy'] }),
+                entry('sad', 'adj. 悲伤的', { antonyms: ['happy'] })
+            ]
+        });
+    });
+
+    const get = (url, query = {}) => request(ctx.app).get(url).query(query).set('X-API-Key', ctx.secret);
+
+    test('looks up a known word', async () => {
+        const res = await get('/dictionary/words/Happy');
+        expect(res.status).toBe(200);
+        expect(res.body.data.word).toBe('happy');
+        expect(res.body.meta.source).toBe('dictionary');
+    });
+
+    test('asks the model for a new word and keeps the answer', async () => {
+        ctx.store.answers.GEMINI = JSON.stringify([entry('joyful', 'adj. 欢乐的')]);
+        const res = await get('/dictionary/words/joyful');
+        expect(res.status).toBe(200);
+        expect(res.body.meta.source).toBe('model');
+        expect(res.body.data.prompt_version).toBeTruthy();
+
+        delete ctx.store.answers.GEMINI;
+        const again = await get('/dictionary/words/joyful');
+        expect(again.body.meta.source).toBe('dictionary');
+    });
+
+    test('does not ask the model with fallback=false', async () => {
+        const res = await get('/dictionary/words/unknownword', { fallback: 'false' });
+        expect(res.status).toBe(404);
+    });
+
+    test('searches by prefix, close spelling and translation', async () => {
+        const prefix = await get('/dictionary/search', { q: 'ha' });
+        expect(prefix.body.data.map(({ word }) => word)).toEqual(['happy']);
+        const fuzzy = await get('/dictionary/search', { q: 'hapy', mode: 'fuzzy' });
+        expect(fuzzy.body.data[0]).toMatchObject({ word: 'happy', distance: 1 });
+        const reverse = await get('/dictionary/reverse', { q: '悲伤' });
+        expect(reverse.body.data.map(({ word }) => word)).toEqual(['sad']);
+        expect((await get('/dictionary/search', { q: 'ha', mode: 'nope' })).status).toBe(400);
+    });
+
+    test('follows synonyms and antonyms', async () => {
+        const res = await get('/dictionary/words/happy/related', { relation: 'antonyms' });
+        expect(res.status).toBe(200);
+        expect(JSON.stringify(res.body.data)).toContain('sad');
+        expect((await get('/dictionary/words/nothing/related')).status).toBe(404);
+    });
+});
+
+describe('web console', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await createTestApp();
+    });
+
+    test('serves the console', async () => {
+        const res = await request(ctx.app).get('/console/');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/html/);
+        const script = await request(ctx.app).get('/console/console.js');
+        expect(script.status).toBe(200);
+    });
+
+    test('redirects /check to the console', async () => {
+        const res = await request(ctx.app).get('/check');
+        expect(res.status).toBe(302);
+        expect(res.headers.location).toBe('/console/');
+    });
+});
+
+describe('record and replay', () => {
+    test('replays a recorded analysis without the original provider', async () => {
+        const ctx = await createTestApp({ answers: { GEMINI: labelAnswer } });
+        const fixtures = new FixtureStore({ dir: path.join(ctx.dir, 'fixtures') });
+        const image = await labelImage('#112233');
+        const analyze = app => request(app)
+            .post('/analyze')
+            .set('X-API-Key', ctx.secret)
+            .set('Cache-Control', 'no-cache')
+            .field('model', 'GEMINI')
+            .attach('image', image, 'label.png');
+
+        // Record through the canned provider...
+        recordProviders(ctx.client.registry, fixtures);
+        const recorded = await analyze(ctx.app);
+        expect(recorded.status).toBe(200);
+
+        // ...and replay from the saved files only
+        const { app } = await createApp({
+            config: ctx.config,
+            registry: createReplayRegistry(ctx.config, fixtures),
+            apiKeys: ctx.apiKeys,
+            jobs: ctx.jobs,
+            sessions: ctx.sessions,
+            dictionary: ctx.dictionary,
+            inventory: ctx.inventory,
+            labels: ctx.labels
+        });
+        const replayed = await analyze(app);
+        expect(replayed.status).toBe(200);
+        expect(replayed.body.data).toEqual(recorded.body.data);
+    });
+});
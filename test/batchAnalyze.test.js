@@ -0,0 +1,112 @@
+import AdmZip from 'adm-zip';
+import { extractZipImages, batchToCsv } from '../src/batchAnalyze.js';
+
+const zip = entries => {
+    const archive = new AdmZip();
+    for (const [name, buffer] of entries) archive.addFile(name, buffer);
+    return archive.toBuffer();
+};
+
+// Rewrites the uncompressed size in every local and central directory header
+function declareSize(buffer, size) {
+    const patched = Buffer.from(buffer);
+    for (let offset = 0; offset < patched.length - 4; offset++) {
+        const signature = patched.readUInt32LE(offset);
+        if (signature === 0x04034b50) patched.writeUInt32LE(size, offset + 22);
+        if (signature === 0x02014b50) patched.writeUInt32LE(size, offset + 24);
+    }
+    return patched;
+}
+
+const thrown = fn => {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+
+describe('extractZipImages', () => {
+    const limits = { maxFiles: 5, maxFileBytes: 1024 * 1024, maxTotalBytes: 1536 * 1024 };
+
+    test('unpacks image entries and skips everything else', () => {
+        const files = extractZipImages(zip([
+            ['a.png', Buffer.from('first')],
+            ['dir/b.JPG', Buffer.alloc(2000, 1)],
+            ['notes.txt', Buffer.from('x')],
+            ['__MACOSX/._a.png', Buffer.from('x')],
+            ['.hidden.png', Buffer.from('x')]
+        ]), limits);
+        expect(files.map(file => file.name)).toEqual(['a.png', 'dir/b.JPG']);
+        expect(files[0].buffer.toString()).toBe('first');
+        expect(files[1].buffer.equals(Buffer.alloc(2000, 1))).toBe(true);
+    });
+
+    test('refuses too many images and archives that are not ZIP files', () => {
+        expect(() => extractZipImages(zip([['a.png', Buffer.from('a')], ['b.png', Buffer.from('b')]]), { ...limits, maxFiles: 1 }))
+            .toThrow('ZIP archive contains 2 images, the limit is 1');
+        expect(() => extractZipImages(Buffer.from('not a zip'), limits)).toThrow(/^Invalid ZIP archive/);
+    });
+
+    test('refuses entries whose declared size is too large before unpacking', () => {
+        const error = thrown(() => extractZipImages(zip([['big.png', Buffer.alloc(2 * 1024 * 1024)]]), limits));
+        expect(error.status).toBe(413);
+        expect(error.message).toMatch(/big\.png unpacks to 2097152 bytes/);
+    });
+
+    test('stops inflating an entry that declares size 0', () => {
+        const bomb = declareSize(zip([['bomb.png', Buffer.alloc(8 * 1024 * 1024)]]), 0);
+        expect(bomb.length).toBeLessThan(64 * 1024);
+        const error = thrown(() => extractZipImages(bomb, limits));
+        expect(error.status).toBe(413);
+        expect(error.message).toBe('ZIP entry bomb.png unpacks to more than 1048576 bytes');
+    });
+
+    test('counts the real bytes against the total limit', () => {
+        const archive = declareSize(zip([['a.png', Buffer.alloc(800 * 1024)], ['b.png', Buffer.alloc(800 * 1024, 1)]]), 10);
+        expect(() => extractZipImages(archive, limits)).toThrow(`ZIP archive unpacks to more than ${1536 * 1024} bytes`);
+    });
+
+    test('refuses entries that fail their CRC check', () => {
+        const archive = declareSize(zip([['a.png', Buffer.alloc(1000, 7)]]), 1000);
+        const broken = Buffer.from(archive);
+        // The CRC follows the modification date in both headers
+        for (let offset = 0; offset < broken.length - 4; offset++) {
+            if (broken.readUInt32LE(offset) === 0x04034b50) broken.writeUInt32LE(0, offset + 14);
+            if (broken.readUInt32LE(offset) === 0x02014b50) broken.writeUInt32LE(0, offset + 16);
+        }
+        expect(() => extractZipImages(broken, limits)).toThrow(/CRC/);
+    });
+});
+
+describe('batchToCsv', () => {
+    const result = data => ({ file: 'a.png', status: 'ok', data, warnings: [], error: null, durationMs: 12 });
+
+    test('writes one row per result', () => {
+        const csv = batchToCsv([
+            result({ production_date: '2024.08.20', shelf_life: { text: '12个月' }, derived_fields: ['expiration_date'], additional_info: 'a, "b"' }),
+            { file: 'b.png', status: 'error', data: null, warnings: [{ field: null, code: 'x' }], error: { message: 'failed' }, durationMs: 3 }
+        ]);
+        const [header, first, second] = csv.split('\r\n');
+        expect(header.split(',').slice(0, 4)).toEqual(['file', 'status', 'production_date', 'expiration_date']);
+        expect(first).toBe('a.png,ok,2024.08.20,,,12个月,expiration_date,,,,,"a, ""b""",,,12');
+        expect(second).toBe('b.png,error,,,,,,,,,,,x,failed,3');
+    });
+
+    test('keeps spreadsheets from running model text as formulas', () => {
+        const csv = batchToCsv([result({
+            manufacturer: '=HYPERLINK("http://example.com")',
+            additional_info: '+1',
+            storage_conditions: '-5℃',
+            net_content: '@SUM(A1)',
+            barcode: '\t=1'
+        })]);
+        const row = csv.split('\r\n')[1];
+        expect(row).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+        expect(row).toContain(`'+1`);
+        expect(row).toContain(`'-5℃`);
+        expect(row).toContain(`'@SUM(A1)`);
+        expect(row).toContain(`'\t=1`);
+    });
+});
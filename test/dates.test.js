@@ -0,0 +1,64 @@
+import { parseDate, normalizeDate, daysInMonth, compareDates } from '../src/dates.js';
+
+describe('parseDate', () => {
+    test.each([
+        '2024.08.20',
+        '2024/08/20',
+        '2024-08-20',
+        '2024 08 20',
+        '2024/8/20',
+        '2024-08-20T10:30:00',
+        '2024.08.20 10:30',
+        '20240820',
+        '24.08.20',
+        '24/8/20',
+        '24-08-20',
+        '240820',
+        '2024年8月20日',
+        '2024 年 08 月 20 日',
+        '2024年8月20',
+        '24年8月20日',
+        '  2024.08.20  '
+    ])('reads %s', value => {
+        expect(parseDate(value)).toEqual({ year: 2024, month: 8, day: 20 });
+    });
+
+    test.each([
+        ['2024.02.30', 'impossible_date'],
+        ['2023.02.29', 'impossible_date'],
+        ['2024.04.31', 'impossible_date'],
+        ['2024.13.01', 'impossible_date'],
+        ['2024.00.10', 'impossible_date'],
+        ['2024.01.00', 'impossible_date'],
+        ['20241301', 'impossible_date'],
+        ['2024年2月30日', 'impossible_date'],
+        ['1899.12.31', 'implausible_year'],
+        ['2101.01.01', 'implausible_year'],
+        ['00010101', 'implausible_year'],
+        ['08/20/2024', 'unrecognized_format'],
+        ['Aug 20, 2024', 'unrecognized_format'],
+        ['', 'unrecognized_format'],
+        [20240820, 'invalid_type'],
+        [null, 'invalid_type']
+    ])('rejects %p as %s', (value, error) => {
+        expect(parseDate(value)).toEqual({ error });
+    });
+
+    test('accepts the ends of the plausible year range and leap days', () => {
+        expect(parseDate('1900.01.01')).toEqual({ year: 1900, month: 1, day: 1 });
+        expect(parseDate('2100.12.31')).toEqual({ year: 2100, month: 12, day: 31 });
+        expect(parseDate('2024.02.29')).toEqual({ year: 2024, month: 2, day: 29 });
+    });
+});
+
+test('normalizeDate formats as YYYY.MM.DD or returns null', () => {
+    expect(normalizeDate('24/8/5')).toBe('2024.08.05');
+    expect(normalizeDate('2024年12月1日')).toBe('2024.12.01');
+    expect(normalizeDate('2024.02.30')).toBeNull();
+});
+
+test('daysInMonth and compareDates', () => {
+    expect([daysInMonth(2024, 2), daysInMonth(2023, 2), daysInMonth(2024, 4), daysInMonth(1900, 2)]).toEqual([29, 28, 30, 28]);
+    expect(compareDates({ year: 2024, month: 1, day: 2 }, { year: 2024, month: 1, day: 1 })).toBeGreaterThan(0);
+    expect(compareDates({ year: 2024, month: 1, day: 1 }, { year: 2024, month: 1, day: 1 })).toBe(0);
+});
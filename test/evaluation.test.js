@@ -0,0 +1,103 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { loadModelConfig, FixtureStore, createReplayRegistry } from '../src/providers/index.js';
+import { ImageAnalysisClient } from '../src/analysisClient.js';
+import { Resilience } from '../src/resilience.js';
+import { PromptStore } from '../src/prompts.js';
+import { loadDataset, evaluate, formatReport } from '../src/evaluation.js';
+
+// Three labeled images with recorded GEMINI and MIXTRAL answers: GEMINI gets every date right,
+// MIXTRAL gets one production date wrong, misses one expiration date and invents another
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = path.join(root, 'test', 'fixtures', 'evaluation');
+const datasetFile = path.join(fixtures, 'dataset.json');
+const responses = path.join(fixtures, 'responses');
+const models = ['GEMINI', 'MIXTRAL'];
+
+// Built the same way as in evaluate.js
+async function replayEvaluation() {
+    const dataset = await loadDataset(datasetFile);
+    const config = loadModelConfig();
+    const registry = createReplayRegistry(config, new FixtureStore({ dir: responses }));
+    const client = new ImageAnalysisClient(registry, {
+        preprocessing: config.preprocessing,
+        resilience: new Resilience(config.resilience),
+        prompts: new PromptStore({ templates: config.prompts, today: dataset.today }).load()
+    });
+    return evaluate(client, dataset, { models, options: {}, concurrency: 2 });
+}
+
+const scores = report => Object.fromEntries(report.models.map(result => [
+    result.model,
+    Object.fromEntries(Object.entries(result.fields).map(([field, score]) => [field, score.accuracy]))
+]));
+
+describe('offline evaluation', () => {
+    let report;
+
+    beforeAll(async () => {
+        report = await replayEvaluation();
+    });
+
+    test('loads the labeled dataset', async () => {
+        const dataset = await loadDataset(datasetFile);
+        expect(dataset.today).toBe('2025-01-15');
+        expect(dataset.items.map(item => item.id)).toEqual(['milk', 'bread', 'rice']);
+        expect(dataset.items[0].image).toBe(path.join(fixtures, 'images', 'milk.png'));
+        expect(dataset.items[1].expected).toEqual({ production_date: '2025.01.10', expiration_date: null });
+    });
+
+    test('answers every image from the recorded responses', () => {
+        expect(report.today).toBe('2025-01-15');
+        expect(report.models.map(result => [result.model, result.items, result.errors])).toEqual([
+            ['GEMINI', 3, 0],
+            ['MIXTRAL', 3, 0]
+        ]);
+        expect(report.models[0].promptVersion).toBe('date-extraction-v2');
+    });
+
+    test('scores accuracy per model and field', () => {
+        expect(scores(report)).toEqual({
+            GEMINI: { production_date: 1, expiration_date: 1 },
+            MIXTRAL: { production_date: 0.6667, expiration_date: 0.3333 }
+        });
+    });
+
+    test('breaks mistakes down by outcome', () => {
+        const mixtral = report.models[1];
+        expect(mixtral.fields.production_date.confusion).toEqual({
+            correct_date: 1, correct_null: 1, wrong_date: 1, missed: 0, hallucinated: 0, error: 0
+        });
+        expect(mixtral.fields.expiration_date).toMatchObject({
+            exact: 1,
+            total: 3,
+            nullPrecision: 0,
+            nullRecall: 0,
+            confusion: { correct_date: 1, correct_null: 0, wrong_date: 0, missed: 1, hallucinated: 1, error: 0 }
+        });
+        expect(mixtral.mismatches).toEqual([
+            { id: 'milk', field: 'production_date', outcome: 'wrong_date', expected: '2025.01.02', actual: '2025.01.03', error: null },
+            { id: 'bread', field: 'expiration_date', outcome: 'hallucinated', expected: null, actual: '2025.01.20', error: null },
+            { id: 'rice', field: 'expiration_date', outcome: 'missed', expected: '2026.03.01', actual: null, error: null }
+        ]);
+        expect(report.models[0].mismatches).toEqual([]);
+    });
+
+    test('formats the report', () => {
+        const text = formatReport(report);
+        expect(text).toContain('Dataset dataset.json (today = 2025-01-15)');
+        expect(text).toMatch(/MIXTRAL {2}prompt date-extraction-v2 {2}items 3 {2}errors 0/);
+        expect(text).toContain('correct_date 1, correct_null 0, wrong_date 0, missed 1, hallucinated 1, error 0');
+    });
+
+    test('runs from the command line with --replay', async () => {
+        const { stdout } = await promisify(execFile)(process.execPath, [
+            'evaluate.js', '--dataset', datasetFile, '--replay', responses, '--models', models.join(','), '--json'
+        ], { cwd: root, timeout: 60000 });
+        const output = JSON.parse(stdout);
+        expect(output.mode).toBe('replay');
+        expect(scores(output)).toEqual(scores(report));
+    });
+});
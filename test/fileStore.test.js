@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJson, writeJson, serialWriter } from '../src/fileStore.js';
+import { tempDir, removeTempDirs } from './helpers.js';
+
+let dir;
+
+beforeAll(async () => {
+    dir = await tempDir();
+});
+
+afterAll(async () => {
+    await removeTempDirs();
+});
+
+test('writeJson leaves no temp files behind', async () => {
+    const file = path.join(dir, 'nested', 'a.json');
+    await Promise.all([1, 2, 3].map(n => writeJson(file, { n })));
+    expect([1, 2, 3]).toContain((await readJson(file)).n);
+    expect(await fs.readdir(path.dirname(file))).toEqual(['a.json']);
+    expect(await readJson(path.join(dir, 'missing.json'), [])).toEqual([]);
+});
+
+test('serialWriter keeps the last write', async () => {
+    const file = path.join(dir, 'serial.json');
+    const write = serialWriter(file);
+    await Promise.all(Array.from({ length: 10 }, (_, n) => write({ n })));
+    expect(await readJson(file)).toEqual({ n: 9 });
+});
+
+test('serialWriter rejects only the write that failed', async () => {
+    const file = path.join(dir, 'blocked.json');
+    const write = serialWriter(file);
+    // A directory in the way makes the rename fail
+    await fs.mkdir(file);
+    const failed = write({ n: 1 });
+    await expect(failed).rejects.toThrow();
+
+    await fs.rm(file, { recursive: true });
+    await expect(write({ n: 2 })).resolves.toBeUndefined();
+    expect(await readJson(file)).toEqual({ n: 2 });
+});
@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { loadModelConfig, createReplayRegistry } from '../src/providers/index.js';
+import { createApp } from '../src/app.js';
+import { ApiKeyStore } from '../src/apiKeys.js';
+import { JobQueue } from '../src/jobs.js';
+import { SessionStore } from '../src/sessions.js';
+import { DictionaryStore } from '../src/dictionary.js';
+import { InventoryStore } from '../src/inventory.js';
+import { LabelStore } from '../src/labels.js';
+
+const tempDirs = [];
+const keyStores = [];
+
+export async function tempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-api-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// Call from afterAll in every test file that creates temp dirs
+export async function removeTempDirs() {
+    // A pending usage save would write into a removed dir
+    for (const apiKeys of keyStores.splice(0)) clearTimeout(apiKeys.saveTimer);
+    await Promise.all(tempDirs.splice(0).map(dir => fs.rm(dir, { recursive: true, force: true })));
+}
+
+// A small PNG; different colors give different images (and cache keys)
+export function labelImage(background = '#ffffff') {
+    return sharp({ create: { width: 64, height: 48, channels: 3, background } }).png().toBuffer();
+}
+
+// Fixture store for ReplayProvider that answers every request of a model with the same
+// recorded text, as one analysis answer or as a streamed one. Change `answers` between requests.
+export class CannedStore {
+    constructor(answers = {}) {
+        this.answers = answers;
+        this.reads = [];
+    }
+
+    async read(model, key) {
+        this.reads.push({ model, key });
+        const text = this.answers[model];
+        if (text === undefined) return null;
+        return {
+            text,
+            events: [
+                { type: 'text', text },
+                { type: 'done', finishReason: 'stop', usage: { promptTokens: 3, completionTokens: 5, totalTokens: 8 } }
+            ]
+        };
+    }
+}
+
+// The real model config without retries, so a failing fake answers right away
+export function testConfig() {
+    const config = loadModelConfig();
+    return { ...config, resilience: { ...config.resilience, defaults: { ...config.resilience?.defaults, retries: 0 } } };
+}
+
+// createApp() on replayed providers with every store in a temp dir, and one API key.
+// Returns what createApp returns plus { store, dir, secret, key, config }.
+// Pass `registry` to use other providers than the replayed ones, `sessionPolicy` to override
+// the configured history policy.
+export async function createTestApp({ answers = {}, env = {}, dictionaryEntries = [], keyOptions = {}, registry, sessionPolicy = {} } = {}) {
+    const dir = await tempDir();
+    const config = testConfig();
+    const store = new CannedStore(answers);
+
+    const dictionaryFile = path.join(dir, 'dictionary.json');
+    await fs.writeFile(dictionaryFile, JSON.stringify(dictionaryEntries));
+    const apiKeys = await new ApiKeyStore({ file: path.join(dir, 'api_keys.json') }).init();
+    keyStores.push(apiKeys);
+    const { key, secret } = await apiKeys.issue({ name: 'test', rateLimit: 1000, dailyQuota: 1000, ...keyOptions });
+
+    const created = await createApp({
+        config,
+        env,
+        registry: registry ?? createReplayRegistry(config, store),
+        apiKeys,
+        jobs: new JobQueue({ dir: path.join(dir, 'jobs'), concurrency: 1 }),
+        sessions: new SessionStore({ dir: path.join(dir, 'sessions'), policy: { ...config.sessions, ...sessionPolicy } }),
+        dictionary: new DictionaryStore({ file: dictionaryFile }),
+        inventory: new InventoryStore({ file: path.join(dir, 'inventory.json') }),
+        labels: new LabelStore({ dir: path.join(dir, 'labels') })
+    });
+    return { ...created, store, dir, secret, key, config };
+}
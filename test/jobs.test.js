@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import dns from 'dns';
+import http from 'http';
+import path from 'path';
+import { JobQueue, callbackLookup, callbackUrlError } from '../src/jobs.js';
+import { tempDir, removeTempDirs } from './helpers.js';
+
+// A local HTTP server that records every request and answers with respond(req, res)
+async function callbackServer(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body });
+            respond(req, res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, port: server.address().port };
+}
+
+const lookup = (hosts, hostname, options = {}) => new Promise(resolve => {
+    callbackLookup(hosts)(hostname, options, (error, address, family) => resolve({ error, address, family }));
+});
+
+let dir;
+const servers = [];
+
+beforeAll(async () => {
+    dir = await tempDir();
+});
+
+afterAll(async () => {
+    for (const server of servers) server.close();
+    await removeTempDirs();
+});
+
+beforeEach(() => {
+    // Failed deliveries are logged
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('callbackUrlError', () => {
+    test.each([
+        ['ftp://example.com/hook', 'callback_url must be an http(s) URL'],
+        ['not a url', 'callback_url must be an http(s) URL'],
+        ['http://127.0.0.1/hook', /loopback, link-local or private address \(127\.0\.0\.1\)/],
+        ['http://169.254.169.254/latest/meta-data', /169\.254\.169\.254/],
+        ['http://[::1]/hook', /\(::1\)/],
+        ['http://10.1.2.3/hook', /10\.1\.2\.3/]
+    ])('refuses %s', async (url, message) => {
+        expect(await callbackUrlError(url)).toMatch(message);
+    });
+
+    test('accepts public and allowed hosts', async () => {
+        expect(await callbackUrlError('https://93.184.216.34/hook')).toBeNull();
+        expect(await callbackUrlError('http://127.0.0.1/hook', ['127.0.0.1'])).toBeNull();
+    });
+});
+
+describe('callbackLookup', () => {
+    test('refuses hosts that resolve to internal addresses', async () => {
+        const { error } = await lookup([], 'localhost');
+        expect(error.code).toBe('ECALLBACKREFUSED');
+        expect(error.message).toMatch(/loopback, link-local or private address/);
+    });
+
+    test('answers like dns.lookup for allowed hosts', async () => {
+        const single = await lookup(['localhost'], 'LOCALHOST');
+        expect(single.error).toBeNull();
+        expect(['127.0.0.1', '::1']).toContain(single.address);
+        const all = await lookup(['localhost'], 'localhost', { all: true });
+        expect(all.address.length).toBeGreaterThan(0);
+    });
+});
+
+describe('JobQueue.notify', () => {
+    const job = (callbackUrl, extra = {}) => ({ id: 'job-1', type: 'analyze', status: 'succeeded', result: { ok: true }, callbackUrl, ...extra });
+    const queue = callbackHosts => new JobQueue({ dir: path.join(dir, 'jobs'), callbackHosts });
+
+    test('POSTs the public job to the callback URL', async () => {
+        const target = await callbackServer((req, res) => res.end('ok'));
+        servers.push(target.server);
+
+        const result = await queue(['localhost']).notify(job(`http://localhost:${target.port}/hook`, { secret: 'x' }));
+        expect(result).toMatchObject({ delivered: true, status: 200, attempts: 1 });
+        expect(target.requests).toHaveLength(1);
+        expect(target.requests[0]).toMatchObject({ method: 'POST', url: '/hook' });
+        expect(JSON.parse(target.requests[0].body)).toMatchObject({ id: 'job-1', status: 'succeeded', result: { ok: true } });
+        expect(JSON.parse(target.requests[0].body).secret).toBeUndefined();
+    });
+
+    test('does not follow redirects', async () => {
+        const internal = await callbackServer((req, res) => res.end('leaked'));
+        const redirecting = await callbackServer((req, res) => {
+            res.writeHead(307, { Location: `http://127.0.0.1:${internal.port}/latest/meta-data` });
+            res.end();
+        });
+        servers.push(internal.server, redirecting.server);
+
+        const result = await queue(['localhost']).notify(job(`http://localhost:${redirecting.port}/hook`));
+        expect(result).toMatchObject({ delivered: false, attempts: 1, error: 'HTTP 307, callback redirects are not followed' });
+        expect(redirecting.requests).toHaveLength(1);
+        expect(internal.requests).toHaveLength(0);
+    });
+
+    test('refuses internal URLs before sending anything', async () => {
+        const result = await queue([]).notify(job('http://127.0.0.1:9/hook'));
+        expect(result).toMatchObject({ delivered: false, attempts: 0 });
+        expect(result.error).toMatch(/private address/);
+    });
+
+    test('connects only to the address it checked', async () => {
+        const target = await callbackServer((req, res) => res.end('ok'));
+        servers.push(target.server);
+        // The first resolution looks public, the connection would go to loopback
+        jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+        const result = await queue([]).notify(job(`http://localhost:${target.port}/hook`));
+        expect(result).toMatchObject({ delivered: false, attempts: 1 });
+        expect(result.error).toMatch(/loopback, link-local or private address/);
+        expect(target.requests).toHaveLength(0);
+    });
+});
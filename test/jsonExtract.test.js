@@ -0,0 +1,75 @@
+import { extractJson, JsonExtractError, JsonRepair } from '../src/jsonExtract.js';
+
+const fence = '```';
+
+describe('extractJson', () => {
+    test('parses a ```json fence without repairs', () => {
+        expect(extractJson(`${fence}json\n{"a": 1}\n${fence}`)).toEqual({ value: { a: 1 }, repairs: [] });
+        expect(extractJson(`${fence}JSON {"a": "x // not a comment, ]"}${fence}`)).toEqual({ value: { a: 'x // not a comment, ]' }, repairs: [] });
+    });
+
+    test.each([
+        [JsonRepair.UNFENCED, '{"a": 1}', { a: 1 }],
+        [JsonRepair.UNTAGGED_FENCE, `${fence}\n{"a": 1}\n${fence}`, { a: 1 }],
+        [JsonRepair.UNTAGGED_FENCE, `${fence}js\n[1, 2]\n${fence}`, [1, 2]],
+        [JsonRepair.UNCLOSED_FENCE, `${fence}json\n{"a": 1}`, { a: 1 }],
+        [JsonRepair.SURROUNDING_TEXT, 'Here you go: {"a": 1} Anything else?', { a: 1 }],
+        [JsonRepair.SURROUNDING_TEXT, `${fence}json\nThe dates:\n{"a": 1}\n${fence}`, { a: 1 }],
+        [JsonRepair.COMMENTS, `${fence}json\n{\n  "a": 1, // the first one\n  /* the second */ "b": 2\n}\n${fence}`, { a: 1, b: 2 }],
+        [JsonRepair.TRAILING_COMMAS, `${fence}json\n{"a": [1, 2,], "b": {"c": 3,},}\n${fence}`, { a: [1, 2], b: { c: 3 } }],
+        [JsonRepair.TRUNCATED, `${fence}json\n[{"word": "a"}, {"word": "b"}, {"word": "c`, [{ word: 'a' }, { word: 'b' }]],
+        [JsonRepair.TRUNCATED, `${fence}json\n{"a": 1, "b": [1, 2`, { a: 1 }]
+    ])('repairs %s', (repair, text, value) => {
+        const result = extractJson(text);
+        expect(result.value).toEqual(value);
+        expect(result.repairs).toContain(repair);
+    });
+
+    test('lists every repair it made', () => {
+        const text = `The answer:\n${fence}\n[\n  {"a": 1,}, // first\n  {"a": 2},\n  {"a": `;
+        expect(extractJson(text)).toEqual({
+            value: [{ a: 1 }, { a: 2 }],
+            repairs: [JsonRepair.UNCLOSED_FENCE, JsonRepair.TRAILING_COMMAS, JsonRepair.COMMENTS, JsonRepair.TRUNCATED]
+        });
+    });
+
+    test.each([
+        ['inside a nested array', '{"entries": [{"word": "a"}, {"word": "b"}, {"wo', { entries: [{ word: 'a' }, { word: 'b' }] }],
+        ['inside a nested object', '{"data": {"a": 1, "b": {"c": 2}, "d": "cut', { data: { a: 1, b: { c: 2 } } }],
+        ['deep inside containers', '{"a": {"b": [{"c": 1}, {"c": 2, "d": [', { a: { b: [{ c: 1 }, { c: 2 }] } }],
+        // A complete top-level element wins over a longer nested repair
+        ['after a complete top-level element', '[[1, 2], [3, 4', [[1, 2]]]
+    ])('repairs a value cut off %s', (name, text, value) => {
+        expect(extractJson(text)).toEqual({ value, repairs: [JsonRepair.UNFENCED, JsonRepair.TRUNCATED] });
+    });
+
+    test('keeps escaped quotes and brackets inside strings', () => {
+        expect(extractJson('{"a": "say \\"hi\\" [x]", "b": "}"}').value).toEqual({ a: 'say "hi" [x]', b: '}' });
+    });
+
+    test('looks for the expected kind of value', () => {
+        const text = 'Result {"note": "ignored"} then [1, 2]';
+        expect(extractJson(text, { expect: 'array' }).value).toEqual([1, 2]);
+        expect(extractJson(text, { expect: 'object' }).value).toEqual({ note: 'ignored' });
+        expect(extractJson(text).value).toEqual({ note: 'ignored' });
+    });
+
+    test.each([
+        ['an empty answer', '   ', {}, 'Empty model answer'],
+        ['a non-string answer', null, {}, 'Empty model answer'],
+        ['prose only', 'I cannot read this label.', {}, 'No JSON value found in model answer'],
+        ['no array where one is expected', '{"a": 1}', { expect: 'array' }, 'No JSON array found in model answer'],
+        ['a value cut off before any element', '{"a": "never fini', {}, 'JSON value is cut off before its first complete element'],
+        ['invalid JSON', '{"a": undefined}', {}, /^Invalid JSON in model answer/]
+    ])('throws for %s', (name, text, options, message) => {
+        let error;
+        try {
+            extractJson(text, options);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(JsonExtractError);
+        expect(error.message).toMatch(message);
+        expect(error.text).toBe(text);
+    });
+});
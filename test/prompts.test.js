@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PromptStore, PromptError, compareVersions } from '../src/prompts.js';
+import { ImageAnalysisClient } from '../src/analysisClient.js';
+import { createReplayRegistry } from '../src/providers/index.js';
+import { CannedStore, testConfig, tempDir, removeTempDirs } from './helpers.js';
+
+let dir;
+
+// v2 cannot take a field list, v9 and v10 can
+beforeAll(async () => {
+    dir = await tempDir();
+    const versions = {
+        v2: 'Dates only, today is {{today}}.',
+        v9: 'Return {{fields}} in {{locale}}.',
+        v10: 'Return {{fields}} plus "evidence" in {{locale}}.'
+    };
+    await fs.mkdir(path.join(dir, 'date-extraction'));
+    for (const [version, text] of Object.entries(versions)) {
+        await fs.writeFile(path.join(dir, 'date-extraction', `${version}.txt`), text);
+    }
+});
+
+afterAll(async () => {
+    await removeTempDirs();
+});
+
+test('compareVersions sorts by the version number', () => {
+    expect(['v10', 'v2', 'v9', 'v1'].sort(compareVersions)).toEqual(['v1', 'v2', 'v9', 'v10']);
+});
+
+describe('PromptStore', () => {
+    test('lists versions in numeric order and defaults to the newest', () => {
+        const prompts = new PromptStore({ dir }).load();
+        expect(prompts.list()).toEqual([{ name: 'date-extraction', default: 'v10', versions: ['v2', 'v9', 'v10'] }]);
+        expect(prompts.resolveVersion('date-extraction')).toBe('v10');
+    });
+
+    test('keeps a configured default', () => {
+        const prompts = new PromptStore({ dir, templates: { 'date-extraction': { default: 'v2' } } }).load();
+        expect(prompts.defaultVersion('date-extraction')).toBe('v2');
+        expect(() => new PromptStore({ dir, templates: { 'date-extraction': { default: 'v3' } } }).load()).toThrow(/v3 not found/);
+    });
+
+    test('resolves and renders versions', () => {
+        const prompts = new PromptStore({ dir, today: '2024-08-20', templates: { 'date-extraction': { variables: { locale: 'en' } } } }).load();
+        expect(prompts.resolveVersion('date-extraction', 'date-extraction-v9')).toBe('v9');
+        expect(() => prompts.resolveVersion('date-extraction', 'v3')).toThrow(new PromptError('Unknown prompt version "v3" for date-extraction. Use v2, v9, v10'));
+        expect(prompts.placeholders('date-extraction', 'v9')).toEqual(['fields', 'locale']);
+        expect(prompts.render('date-extraction', { version: 'v2' })).toEqual({
+            id: 'date-extraction-v2', name: 'date-extraction', version: 'v2', text: 'Dates only, today is 2024-08-20.'
+        });
+        expect(prompts.render('date-extraction', { version: 'v9', variables: { fields: ['barcode', 'net_content'] } }).text)
+            .toBe('Return barcode, net_content in en.');
+        expect(() => prompts.render('date-extraction', { version: 'v9' })).toThrow(/needs a value for \{\{fields\}\}/);
+    });
+});
+
+describe('ImageAnalysisClient.promptFields', () => {
+    const client = () => {
+        const prompts = new PromptStore({ dir, templates: { 'date-extraction': { default: 'v2' } } }).load();
+        return new ImageAnalysisClient(createReplayRegistry(testConfig(), new CannedStore()), { prompts });
+    };
+
+    test('keeps the default prompt for the default fields', () => {
+        expect(client().analysisOptions({}, 'GEMINI')).toMatchObject({ prompt_version: 'v2' });
+    });
+
+    test('picks the newest prompt that takes {{fields}} by number', () => {
+        expect(client().analysisOptions({ fields: 'production_date,barcode' }, 'GEMINI'))
+            .toMatchObject({ prompt_version: 'v10', fields: ['production_date', 'barcode'] });
+        expect(client().analysisOptions({ fields: ['barcode'], prompt_version: 'v9' }, 'GEMINI'))
+            .toMatchObject({ prompt_version: 'v9' });
+    });
+
+    test('refuses a requested prompt that cannot ask for the fields', () => {
+        expect(() => client().analysisOptions({ fields: 'barcode', prompt_version: 'v2' }, 'GEMINI'))
+            .toThrow('Prompt date-extraction-v2 cannot ask for exactly barcode. Use prompt_version v9, v10');
+    });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { ProviderRegistry, createRegistry, loadModelConfig, GeminiProvider, OpenAICompatibleProvider } from '../src/providers/index.js';
+import { BaseProvider } from '../src/providers/base.js';
+
+const config = {
+    models: [
+        { id: 'GEMINI', label: 'Gemini', provider: 'gemini', model: 'gemini-test', apiKeyEnv: 'TEST_GEMINI_KEY' },
+        { id: 'MIXTRAL', provider: 'mistral', model: 'mistral-test', apiKeyEnv: 'TEST_MISTRAL_KEY' },
+        { id: 'local', provider: 'openai', model: 'llava', baseUrl: 'http://127.0.0.1:11434/v1', apiKeyOptional: true },
+        { id: 'OFF', provider: 'openai', model: 'm', enabled: false, apiKeyEnv: 'TEST_OFF_KEY' }
+    ]
+};
+
+beforeAll(() => {
+    // Models without a key are reported with console.warn
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('createRegistry', () => {
+    test('builds a provider for every enabled model with credentials', () => {
+        const registry = createRegistry(config, { TEST_GEMINI_KEY: 'key', TEST_MISTRAL_KEY: 'key' });
+        expect(registry.ids()).toEqual(['GEMINI', 'MIXTRAL', 'LOCAL']);
+        expect(registry.get('GEMINI')).toBeInstanceOf(GeminiProvider);
+        expect(registry.get('local')).toBeInstanceOf(OpenAICompatibleProvider);
+        expect(registry.list()).toEqual([
+            { id: 'GEMINI', label: 'Gemini' },
+            { id: 'MIXTRAL', label: 'MIXTRAL' },
+            { id: 'local', label: 'local' }
+        ]);
+    });
+
+    test('resolves model names case-insensitively', () => {
+        const registry = createRegistry(config, { TEST_GEMINI_KEY: 'key' });
+        expect(registry.resolve('gemini')).toBe('GEMINI');
+        expect(registry.resolve('Local')).toBe('LOCAL');
+        expect(registry.get('Gemini').id).toBe('GEMINI');
+    });
+
+    test('treats unknown and disabled models as unknown', () => {
+        const registry = createRegistry(config, { TEST_GEMINI_KEY: 'key', TEST_MISTRAL_KEY: 'key', TEST_OFF_KEY: 'key' });
+        for (const id of ['NOPE', 'OFF', undefined, null, 42]) {
+            expect(registry.resolve(id)).toBeUndefined();
+        }
+        expect(() => registry.get('NOPE')).toThrow('Unknown model: NOPE');
+        expect(registry.unavailable.has('OFF')).toBe(false);
+    });
+
+    test('reports models whose API key is missing', () => {
+        const registry = createRegistry(config, { TEST_GEMINI_KEY: 'key' });
+        expect(registry.resolve('MIXTRAL')).toBeUndefined();
+        expect(registry.unavailable.get('MIXTRAL')).toBe('MIXTRAL API_KEY not found (TEST_MISTRAL_KEY)');
+
+        const health = registry.health();
+        expect(health.ready).toBe(false);
+        expect(health.models).toEqual([
+            { id: 'GEMINI', ready: true },
+            { id: 'local', ready: true },
+            { id: 'MIXTRAL', ready: false, reason: 'MIXTRAL API_KEY not found (TEST_MISTRAL_KEY)' }
+        ]);
+    });
+
+    test('is ready once every configured model has credentials', () => {
+        const registry = createRegistry(config, { TEST_GEMINI_KEY: 'key', TEST_MISTRAL_KEY: 'key' });
+        expect(registry.health().ready).toBe(true);
+        expect(createRegistry({ models: [] }, {}).health().ready).toBe(false);
+    });
+
+    test('uses an injected client instead of an API key', () => {
+        const fetch = async () => new Response('{}');
+        const registry = createRegistry(config, {}, { MIXTRAL: {}, GEMINI: fetch });
+        expect(registry.resolve('MIXTRAL')).toBe('MIXTRAL');
+        expect(registry.resolve('GEMINI')).toBe('GEMINI');
+        expect(registry.unavailable.size).toBe(0);
+    });
+
+    test('rejects an unknown provider kind', () => {
+        expect(() => createRegistry({ models: [{ id: 'X', provider: 'nope', model: 'm' }] }, {}))
+            .toThrow('Unknown provider "nope" for X');
+    });
+
+    test('loads the shipped models.config.json', () => {
+        const shipped = loadModelConfig();
+        const registry = createRegistry(shipped, {});
+        const enabled = shipped.models.filter(model => model.enabled !== false).map(model => model.id.toUpperCase());
+        expect([...registry.ids(), ...registry.unavailable.keys()].sort()).toEqual(enabled.sort());
+    });
+});
+
+describe('ProviderRegistry', () => {
+    class FakeProvider extends BaseProvider {
+        async analyzeImage() {
+            return '{}';
+        }
+    }
+
+    test('registers ready-made providers and clears their unavailable reason', () => {
+        const registry = createRegistry(config, {});
+        expect(registry.unavailable.has('GEMINI')).toBe(true);
+
+        registry.register(new FakeProvider({ id: 'GEMINI', model: 'fake' }));
+        expect(registry.unavailable.has('GEMINI')).toBe(false);
+        expect(registry.get('gemini')).toBeInstanceOf(FakeProvider);
+
+        expect(registry.unregister('gemini')).toBe(true);
+        expect(registry.resolve('GEMINI')).toBeUndefined();
+    });
+
+    test('requires a provider id', () => {
+        expect(() => new ProviderRegistry().register({})).toThrow('Provider must have an id');
+    });
+
+    test('accepts custom provider kinds', () => {
+        const registry = new ProviderRegistry()
+            .registerKind('fake', FakeProvider)
+            .load({ models: [{ id: 'F', provider: 'fake', model: 'fake', apiKeyOptional: true }] }, {});
+        expect(registry.get('f')).toBeInstanceOf(FakeProvider);
+    });
+});
@@ -0,0 +1,324 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { Resilience, ModelError, classifyError, errorBody, shouldFallBack } from '../src/resilience.js';
+import { ImageAnalysisClient } from '../src/analysisClient.js';
+import { ProviderRegistry } from '../src/providers/index.js';
+import { BaseProvider } from '../src/providers/base.js';
+import { ResultCache } from '../src/cache.js';
+import { createTestApp, removeTempDirs } from './helpers.js';
+
+const fast = { timeoutMs: 50, retries: 2, backoffMs: 1, maxBackoffMs: 5, breakerThreshold: 3, breakerCooldownMs: 1000 };
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+const timeoutError = () => new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+const never = () => new Promise(() => {});
+
+// Answers ask()/stream() from a list of steps, one per call: a text, or an error to throw
+// before the first event. `calls` counts the calls.
+class ScriptedProvider extends BaseProvider {
+    constructor(id, steps) {
+        super({ id, model: `${id.toLowerCase()}-model` });
+        this.steps = steps;
+        this.calls = 0;
+    }
+
+    async *stream() {
+        const step = this.steps[Math.min(this.calls++, this.steps.length - 1)];
+        if (step instanceof Error || step instanceof DOMException) throw step;
+        yield { type: 'text', text: step };
+        yield { type: 'done', finishReason: 'stop', usage: null };
+    }
+}
+
+const collect = async iterable => {
+    const events = [];
+    for await (const event of iterable) events.push(event);
+    return events;
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    await removeTempDirs();
+});
+
+describe('classifyError', () => {
+    test.each([
+        ['a timeout', timeoutError(), { status: 504, code: 'timeout', retryable: true }],
+        ['an upstream 429', httpError(429), { status: 429, code: 'rate_limited', retryable: true, retryAfter: 30 }],
+        ['a rate limit message', new Error('Resource exhausted: Too Many Requests'), { status: 429, code: 'rate_limited' }],
+        ['an upstream 503', httpError(503), { status: 502, code: 'upstream_error', retryable: true }],
+        ['an upstream 400', httpError(400, 'bad request'), { status: 502, code: 'upstream_error', retryable: false }],
+        ['a network failure', new TypeError('fetch failed'), { status: 502, retryable: true }],
+        ['any other error', new Error('boom'), { status: 502, retryable: false }]
+    ])('maps %s', (name, error, expected) => {
+        const classified = classifyError(error, 'GEMINI');
+        expect(classified).toBeInstanceOf(ModelError);
+        expect(classified).toMatchObject({ model: 'GEMINI', ...expected });
+        expect(classified.cause).toBe(error);
+    });
+
+    test('keeps model errors as they are', () => {
+        const error = new ModelError('bad json', { code: 'invalid_response' });
+        expect(classifyError(error, 'GEMINI')).toBe(error);
+    });
+
+    test('builds the error body', () => {
+        expect(errorBody(classifyError(httpError(429), 'MIXTRAL'))).toEqual({
+            status: 429, error: 'MIXTRAL rate limit exceeded, please try again later', code: 'rate_limited', model: 'MIXTRAL', retryAfter: 30
+        });
+        expect(errorBody(new Error('oops'))).toEqual({ status: 500, error: 'oops', code: 'internal_error' });
+        expect(errorBody(Object.assign(new Error('too big'), { status: 413 }))).toEqual({ status: 413, error: 'too big', code: 'error' });
+    });
+
+    test('falls back only for failures another model might not have', () => {
+        for (const code of ['rate_limited', 'timeout', 'upstream_error', 'circuit_open', 'invalid_response']) {
+            expect(shouldFallBack(new ModelError('x', { code }))).toBe(true);
+        }
+        expect(shouldFallBack(new ModelError('x', { code: 'fixture_missing' }))).toBe(false);
+        expect(shouldFallBack(new Error('x'))).toBe(false);
+    });
+});
+
+describe('Resilience.call', () => {
+    test('retries retryable failures', async () => {
+        const resilience = new Resilience({ defaults: fast });
+        const fn = jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(httpError(429))
+            .mockResolvedValue('ok');
+        await expect(resilience.call('GEMINI', fn)).resolves.toBe('ok');
+        expect(fn).toHaveBeenCalledTimes(3);
+        expect(resilience.stats().GEMINI).toEqual({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('gives up after the configured retries', async () => {
+        const resilience = new Resilience({ defaults: { ...fast, breakerThreshold: 10 }, models: { MIXTRAL: { retries: 1 } } });
+        const fn = jest.fn().mockRejectedValue(httpError(503));
+        await expect(resilience.call('MIXTRAL', fn)).rejects.toMatchObject({ code: 'upstream_error', model: 'MIXTRAL' });
+        expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry other failures', async () => {
+        const fn = jest.fn().mockRejectedValue(httpError(400));
+        await expect(new Resilience({ defaults: fast }).call('GEMINI', fn)).rejects.toMatchObject({ retryable: false });
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('times out calls that never answer', async () => {
+        const resilience = new Resilience({ defaults: { ...fast, retries: 0 } });
+        const signals = [];
+        const error = await resilience.call('GEMINI', signal => {
+            signals.push(signal);
+            return never();
+        }).catch(error => error);
+        expect(error).toMatchObject({ status: 504, code: 'timeout', message: 'GEMINI did not answer in time' });
+        expect(signals[0].aborted).toBe(true);
+    });
+
+    test('stops when the caller aborts', async () => {
+        const controller = new AbortController();
+        const fn = jest.fn(() => never());
+        const call = new Resilience({ defaults: fast }).call('GEMINI', fn, { signal: controller.signal });
+        controller.abort(new Error('client went away'));
+        await expect(call).rejects.toThrow('client went away');
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('backs off exponentially with full jitter, up to the maximum', () => {
+        const resilience = new Resilience({ defaults: { backoffMs: 100, maxBackoffMs: 1000 } });
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+        const error = new ModelError('x');
+        expect([0, 1, 2, 3, 4].map(attempt => resilience.backoff('GEMINI', attempt, error))).toEqual([100, 200, 400, 800, 1000]);
+        Math.random.mockReturnValue(0);
+        expect(resilience.backoff('GEMINI', 0, error)).toBe(0);
+        // Retry-After is honored, within the maximum
+        expect(resilience.backoff('GEMINI', 0, new ModelError('x', { retryAfter: 0.5 }))).toBe(500);
+        expect(resilience.backoff('GEMINI', 0, new ModelError('x', { retryAfter: 30 }))).toBe(1000);
+    });
+});
+
+describe('circuit breaker', () => {
+    // Timeouts stay real, only the clock the breaker reads with Date.now() is set by the test
+    const frozenClock = { now: 1_000_000, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout'] };
+    const failing = () => Promise.reject(httpError(400));
+
+    test('opens after consecutive failures and refuses calls while open', async () => {
+        jest.useFakeTimers(frozenClock);
+        const resilience = new Resilience({ defaults: fast });
+        for (let i = 0; i < 3; i++) await expect(resilience.call('GEMINI', failing)).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(resilience.stats().GEMINI).toEqual({ state: 'open', consecutiveFailures: 3 });
+
+        const fn = jest.fn();
+        const error = await resilience.call('GEMINI', fn).catch(error => error);
+        expect(error).toMatchObject({ status: 503, code: 'circuit_open', retryAfter: 1 });
+        expect(fn).not.toHaveBeenCalled();
+        // Other models have their own breaker
+        await expect(resilience.call('MIXTRAL', async () => 'ok')).resolves.toBe('ok');
+    });
+
+    test('lets a single trial call through after the cooldown', async () => {
+        jest.useFakeTimers(frozenClock);
+        const resilience = new Resilience({ defaults: fast });
+        for (let i = 0; i < 3; i++) await resilience.call('GEMINI', failing).catch(() => {});
+
+        jest.setSystemTime(1_000_000 + 1000);
+        expect(resilience.stats().GEMINI.state).toBe('half_open');
+        let finishTrial;
+        const trial = resilience.call('GEMINI', () => new Promise(resolve => { finishTrial = resolve; }));
+        await expect(resilience.call('GEMINI', async () => 'second')).rejects.toMatchObject({ code: 'circuit_open' });
+
+        finishTrial('trial');
+        await expect(trial).resolves.toBe('trial');
+        expect(resilience.stats().GEMINI).toEqual({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('opens again when the trial call fails', async () => {
+        jest.useFakeTimers(frozenClock);
+        const resilience = new Resilience({ defaults: fast });
+        for (let i = 0; i < 3; i++) await resilience.call('GEMINI', failing).catch(() => {});
+
+        jest.setSystemTime(1_000_000 + 1000);
+        await expect(resilience.call('GEMINI', failing)).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(resilience.stats().GEMINI).toEqual({ state: 'open', consecutiveFailures: 4 });
+        await expect(resilience.call('GEMINI', async () => 'ok')).rejects.toMatchObject({ code: 'circuit_open', retryAfter: 1 });
+    });
+});
+
+describe('Resilience.stream', () => {
+    async function* events(...texts) {
+        for (const text of texts) yield { type: 'text', text };
+    }
+
+    test('retries a stream that fails before its first event', async () => {
+        const resilience = new Resilience({ defaults: fast });
+        let attempts = 0;
+        const stream = resilience.stream('GEMINI', () => {
+            attempts++;
+            return attempts === 1 ? (async function* () { throw httpError(503); })() : events('a', 'b');
+        });
+        expect((await collect(stream)).map(({ text }) => text)).toEqual(['a', 'b']);
+        expect(attempts).toBe(2);
+    });
+
+    test('does not retry once events were sent', async () => {
+        const resilience = new Resilience({ defaults: fast });
+        let attempts = 0;
+        const received = [];
+        const stream = resilience.stream('GEMINI', () => {
+            attempts++;
+            return (async function* () {
+                yield { type: 'text', text: 'partial' };
+                throw httpError(503);
+            })();
+        });
+        await expect((async () => {
+            for await (const event of stream) received.push(event.text);
+        })()).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(received).toEqual(['partial']);
+        expect(attempts).toBe(1);
+    });
+
+    test('times out while waiting for the first event', async () => {
+        const resilience = new Resilience({ defaults: { ...fast, retries: 0 } });
+        const stream = resilience.stream('GEMINI', () => (async function* () {
+            await never();
+        })());
+        await expect(collect(stream)).rejects.toMatchObject({ status: 504, code: 'timeout' });
+    });
+});
+
+describe('fallback chains', () => {
+    function client(providers, fallback = { GEMINI: ['GEMINI', 'GEMINI_THINKING', 'OFFLINE', 'MIXTRAL'] }) {
+        const registry = new ProviderRegistry();
+        for (const provider of providers) registry.register(provider);
+        return new ImageAnalysisClient(registry, {
+            resilience: new Resilience({ defaults: { ...fast, retries: 0 }, fallback }),
+            cache: new ResultCache()
+        });
+    }
+
+    test('lists the requested model first and skips itself', () => {
+        const resilience = new Resilience({ fallback: { GEMINI: ['GEMINI', 'MIXTRAL'] } });
+        expect(resilience.chain('GEMINI')).toEqual(['GEMINI', 'MIXTRAL']);
+        expect(resilience.chain('GEMINI', false)).toEqual(['GEMINI']);
+        expect(resilience.chain('MIXTRAL')).toEqual(['MIXTRAL']);
+    });
+
+    test('ask falls back past failing and unavailable models', async () => {
+        const gemini = new ScriptedProvider('GEMINI', [httpError(429)]);
+        const thinking = new ScriptedProvider('GEMINI_THINKING', [timeoutError()]);
+        const mixtral = new ScriptedProvider('MIXTRAL', ['from mixtral']);
+        const { data, meta } = await client([gemini, thinking, mixtral]).ask('Hi', 'gemini', { cache: false });
+        expect(data.response).toBe('from mixtral');
+        expect(meta).toEqual({ model: 'MIXTRAL', cache: 'bypass', fallbackFrom: ['GEMINI', 'GEMINI_THINKING'] });
+    });
+
+    test('ask stays on the requested model without fallback or for other failures', async () => {
+        const mixtral = new ScriptedProvider('MIXTRAL', ['from mixtral']);
+        const limited = client([new ScriptedProvider('GEMINI', [httpError(429)]), mixtral]);
+        await expect(limited.ask('Hi', 'GEMINI', { cache: false, fallback: false })).rejects.toMatchObject({ status: 429 });
+
+        const missing = new ModelError('no fixture', { code: 'fixture_missing' });
+        await expect(client([new ScriptedProvider('GEMINI', [missing]), mixtral]).ask('Hi', 'GEMINI', { cache: false }))
+            .rejects.toBe(missing);
+        expect(mixtral.calls).toBe(0);
+    });
+
+    test('askStream falls back before the first event and reports it when done', async () => {
+        const gemini = new ScriptedProvider('GEMINI', [httpError(503)]);
+        const mixtral = new ScriptedProvider('MIXTRAL', ['streamed']);
+        const events = await collect(client([gemini, mixtral]).askStream('Hi', 'GEMINI', { cache: false }));
+        expect(events).toEqual([
+            { type: 'text', text: 'streamed' },
+            { type: 'done', finishReason: 'stop', usage: null, model: 'MIXTRAL', cache: 'bypass', fallbackFrom: ['GEMINI'] }
+        ]);
+    });
+
+    test('askStream does not fall back after a partial answer', async () => {
+        class BreaksMidway extends BaseProvider {
+            async *stream() {
+                yield { type: 'text', text: 'half' };
+                throw httpError(503);
+            }
+        }
+        const mixtral = new ScriptedProvider('MIXTRAL', ['streamed']);
+        const received = [];
+        await expect((async () => {
+            for await (const event of client([new BreaksMidway({ id: 'GEMINI', model: 'g' }), mixtral]).askStream('Hi', 'GEMINI', { cache: false })) {
+                received.push(event);
+            }
+        })()).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(received).toEqual([{ type: 'text', text: 'half' }]);
+        expect(mixtral.calls).toBe(0);
+    });
+});
+
+describe('error responses', () => {
+    test('answer 429 with Retry-After and 504 for timeouts', async () => {
+        const gemini = new ScriptedProvider('GEMINI', [httpError(429), timeoutError()]);
+        const registry = new ProviderRegistry().register(gemini);
+        const ctx = await createTestApp({ registry });
+        const ask = () => request(ctx.app).post('/ask').set('X-API-Key', ctx.secret).send({ prompt: 'Hi', model: 'GEMINI', cache: false });
+
+        const limited = await ask();
+        expect(limited.status).toBe(429);
+        expect(limited.headers['retry-after']).toBe('30');
+        expect(limited.body).toEqual({
+            status: 429, error: 'GEMINI rate limit exceeded, please try again later', code: 'rate_limited', model: 'GEMINI', retryAfter: 30
+        });
+
+        const timedOut = await ask();
+        expect(timedOut.status).toBe(504);
+        expect(timedOut.headers['retry-after']).toBeUndefined();
+        expect(timedOut.body).toEqual({ status: 504, error: 'GEMINI did not answer in time', code: 'timeout', model: 'GEMINI' });
+    });
+});
@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import { SessionStore, HistoryStrategy } from '../src/sessions.js';
+import { ProviderRegistry } from '../src/providers/index.js';
+import { BaseProvider } from '../src/providers/base.js';
+import { createTestApp, tempDir, removeTempDirs } from './helpers.js';
+
+// Messages alternating user/assistant, content "m0", "m1", ...
+const conversation = (count, length = 2) => Array.from({ length: count }, (_, n) => ({
+    role: n % 2 ? 'assistant' : 'user',
+    content: `m${n}`.padEnd(length, '.')
+}));
+
+const store = async policy => new SessionStore({ dir: await tempDir(), policy }).init();
+
+afterAll(async () => {
+    await removeTempDirs();
+});
+
+describe('windowStart', () => {
+    test('keeps the last maxMessages messages', async () => {
+        const sessions = await store({ maxMessages: 4 });
+        expect(sessions.windowStart({ messages: conversation(10) })).toBe(6);
+        expect(sessions.windowStart({ messages: conversation(3) })).toBe(0);
+        expect(sessions.windowStart({ messages: [] })).toBe(0);
+    });
+
+    test('starts on a user turn', async () => {
+        const sessions = await store({ maxMessages: 3 });
+        // The last three start with an assistant message, which is skipped
+        expect(sessions.windowStart({ messages: conversation(6) })).toBe(4);
+    });
+
+    test('keeps the replayed text under maxChars', async () => {
+        const sessions = await store({ maxMessages: 40, maxChars: 25 });
+        // Ten characters each: 30 is too much, so the oldest pair goes
+        expect(sessions.windowStart({ messages: conversation(3, 10) })).toBe(2);
+        // A single message over the limit leaves nothing to replay
+        expect(sessions.windowStart({ messages: [{ role: 'user', content: 'x'.repeat(30) }] })).toBe(1);
+    });
+});
+
+describe('history', () => {
+    test('truncates to the window without summarizing', async () => {
+        const sessions = await store({ maxMessages: 4, strategy: HistoryStrategy.TRUNCATE });
+        const session = await sessions.create({ model: 'GEMINI' });
+        await sessions.append(session, conversation(8));
+        const summarize = jest.fn();
+
+        expect(sessions.needsSummary(session)).toBe(false);
+        expect(await sessions.history(session, summarize)).toEqual(conversation(8).slice(4));
+        expect(summarize).not.toHaveBeenCalled();
+        expect(session.summary).toBeNull();
+    });
+
+    test('folds messages leaving the window into a running summary', async () => {
+        const sessions = await store({ maxMessages: 2, strategy: HistoryStrategy.SUMMARIZE });
+        const session = await sessions.create({ model: 'GEMINI' });
+        const summarize = jest.fn(async () => `summary ${summarize.mock.calls.length}`);
+
+        await sessions.append(session, conversation(2));
+        expect(sessions.needsSummary(session)).toBe(false);
+        expect(await sessions.history(session, summarize)).toEqual(conversation(2));
+
+        await sessions.append(session, conversation(4).slice(2));
+        expect(sessions.needsSummary(session)).toBe(true);
+        const history = await sessions.history(session, summarize);
+        expect(summarize).toHaveBeenLastCalledWith('user: m0\nassistant: m1');
+        expect(history).toEqual([
+            { role: 'user', content: 'Summary of our earlier conversation:\nsummary 1' },
+            { role: 'assistant', content: 'Understood, I will continue from there.' },
+            ...conversation(4).slice(2)
+        ]);
+        expect(session).toMatchObject({ summary: 'summary 1', summarizedCount: 2 });
+        expect(sessions.needsSummary(session)).toBe(false);
+
+        await sessions.append(session, conversation(6).slice(4));
+        await sessions.history(session, summarize);
+        expect(summarize).toHaveBeenLastCalledWith('Previous summary:\nsummary 1\n\nNew messages:\nuser: m2\nassistant: m3');
+        expect(summarize).toHaveBeenCalledTimes(2);
+
+        // The summary is saved with the session
+        const reloaded = await new SessionStore({ dir: sessions.dir }).init();
+        expect(reloaded.get(session.id)).toMatchObject({ summary: 'summary 2', summarizedCount: 4, messages: expect.any(Array) });
+        expect(reloaded.get(session.id).messages).toHaveLength(6);
+    });
+});
+
+describe('withLock', () => {
+    test('runs work on one session one at a time', async () => {
+        const sessions = await store();
+        const order = [];
+        const work = (name, ms) => async () => {
+            order.push(`${name} start`);
+            await new Promise(resolve => setTimeout(resolve, ms));
+            order.push(`${name} end`);
+            return name;
+        };
+
+        const results = await Promise.all([
+            sessions.withLock('a', work('first', 20)),
+            sessions.withLock('a', work('second', 1)),
+            sessions.withLock('b', work('other', 1))
+        ]);
+        expect(results).toEqual(['first', 'second', 'other']);
+        expect(order.indexOf('second start')).toBeGreaterThan(order.indexOf('first end'));
+        expect(order.indexOf('other end')).toBeLessThan(order.indexOf('first end'));
+        expect(sessions.locks.size).toBe(0);
+    });
+
+    test('goes on after a failure', async () => {
+        const sessions = await store();
+        const failed = sessions.withLock('a', async () => { throw new Error('boom'); });
+        const next = sessions.withLock('a', async () => 'ok');
+        await expect(failed).rejects.toThrow('boom');
+        await expect(next).resolves.toBe('ok');
+    });
+});
+
+test('SessionStore.init skips files that are not sessions', async () => {
+    const sessions = await store();
+    const { id } = await sessions.create({ model: 'GEMINI', title: 'Kept' });
+    await fs.writeFile(path.join(sessions.dir, 'notes.txt'), 'not json');
+
+    const reloaded = await new SessionStore({ dir: sessions.dir }).init();
+    expect(reloaded.list()).toEqual([expect.objectContaining({ id, title: 'Kept', messageCount: 0 })]);
+});
+
+// Answers "reply N" and records the history each call was given
+class RecordingProvider extends BaseProvider {
+    constructor() {
+        super({ id: 'GEMINI', model: 'gemini-test' });
+        this.calls = [];
+    }
+
+    async *stream(prompt, { history = [] } = {}) {
+        this.calls.push({ prompt, history });
+        yield { type: 'text', text: prompt.startsWith('Summarize') ? 'They talked about m-numbers.' : `reply ${this.calls.length}` };
+        yield { type: 'done', finishReason: 'stop', usage: null };
+    }
+}
+
+describe('POST /sessions/:id/messages', () => {
+    const chat = async sessionPolicy => {
+        const provider = new RecordingProvider();
+        const ctx = await createTestApp({ registry: new ProviderRegistry().register(provider), sessionPolicy });
+        const api = (method, url) => request(ctx.app)[method](url).set('X-API-Key', ctx.secret);
+        const { id } = (await api('post', '/sessions').send({ model: 'GEMINI' })).body.data;
+        const send = prompt => api('post', `/sessions/${id}/messages`).send({ prompt });
+        return { provider, send };
+    };
+
+    test('replays the windowed history to the provider', async () => {
+        const { provider, send } = await chat({ maxMessages: 2, strategy: HistoryStrategy.TRUNCATE });
+        for (const prompt of ['one', 'two', 'three']) expect((await send(prompt)).status).toBe(200);
+
+        expect(provider.calls.map(({ history }) => history)).toEqual([
+            [],
+            [{ role: 'user', content: 'one' }, { role: 'assistant', content: 'reply 1' }],
+            [{ role: 'user', content: 'two' }, { role: 'assistant', content: 'reply 2' }]
+        ]);
+    });
+
+    test('asks for a summary first and replays it', async () => {
+        const { provider, send } = await chat({ maxMessages: 2, strategy: HistoryStrategy.SUMMARIZE });
+        await send('one');
+        await send('two');
+        const res = await send('three');
+        expect(res.status).toBe(200);
+
+        const [summary, last] = provider.calls.slice(-2);
+        expect(summary.prompt).toMatch(/^Summarize the following conversation/);
+        expect(summary.prompt).toContain('user: one\nassistant: reply 1');
+        expect(summary.history).toEqual([]);
+        expect(last).toEqual({
+            prompt: 'three',
+            history: [
+                { role: 'user', content: 'Summary of our earlier conversation:\nThey talked about m-numbers.' },
+                { role: 'assistant', content: 'Understood, I will continue from there.' },
+                { role: 'user', content: 'two' },
+                { role: 'assistant', content: 'reply 2' }
+            ]
+        });
+    });
+});
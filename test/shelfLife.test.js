@@ -0,0 +1,96 @@
+import { parseShelfLife, addShelfLife } from '../src/shelfLife.js';
+import { validateAnalysis } from '../src/validation.js';
+
+const date = (year, month, day) => ({ year, month, day });
+
+describe('parseShelfLife', () => {
+    test.each([
+        ['18个月', 18, 'month'],
+        ['18個月', 18, 'month'],
+        ['18月', 18, 'month'],
+        ['18 months', 18, 'month'],
+        ['1 month', 1, 'month'],
+        ['12M', 12, 'month'],
+        ['6 mos', 6, 'month'],
+        ['2年', 2, 'year'],
+        ['2 years', 2, 'year'],
+        ['1yr', 1, 'year'],
+        ['3Y', 3, 'year'],
+        ['180天', 180, 'day'],
+        ['180日', 180, 'day'],
+        ['90 days', 90, 'day'],
+        ['30d', 30, 'day'],
+        ['2周', 2, 'week'],
+        ['2週', 2, 'week'],
+        ['3个星期', 3, 'week'],
+        ['4 weeks', 4, 'week'],
+        ['2w', 2, 'week'],
+        ['保质期：12个月', 12, 'month'],
+        ['保質期 2年', 2, 'year'],
+        ['Shelf life: 24 months', 24, 'month'],
+        ['半年', 6, 'month'],
+        ['保质期半年', 6, 'month'],
+        ['一年', 1, 'year'],
+        ['两年', 2, 'year'],
+        ['三年', 3, 'year'],
+        ['1.5年', 18, 'month'],
+        ['2.5 years', 30, 'month']
+    ])('reads %s', (text, value, unit) => {
+        expect(parseShelfLife(text)).toEqual({ value, unit, text });
+    });
+
+    test('reads { value, unit } objects', () => {
+        expect(parseShelfLife({ value: 18, unit: 'months' })).toEqual({ value: 18, unit: 'month', text: '18 months' });
+        expect(parseShelfLife({ value: '1', unit: '年' })).toEqual({ value: 1, unit: 'year', text: '1 year' });
+        expect(parseShelfLife({ value: 1.5, unit: 'year', text: '1.5年' })).toEqual({ value: 18, unit: 'month', text: '1.5年' });
+    });
+
+    test.each([
+        [null], [undefined], [''], ['long'], ['12 fortnights'], ['0个月'], ['1.5个月'], ['2.7年'], ['-3 days'],
+        [18], [{ value: 0, unit: 'month' }], [{ value: 3, unit: 'decade' }], [{ value: 'x', unit: 'day' }]
+    ])('rejects %p', input => {
+        expect(parseShelfLife(input)).toBeNull();
+    });
+});
+
+describe('addShelfLife', () => {
+    test.each([
+        [date(2024, 1, 31), { value: 1, unit: 'month' }, date(2024, 2, 29)],
+        [date(2023, 1, 31), { value: 1, unit: 'month' }, date(2023, 2, 28)],
+        [date(2024, 3, 31), { value: 1, unit: 'month' }, date(2024, 4, 30)],
+        [date(2024, 8, 31), { value: 6, unit: 'month' }, date(2025, 2, 28)],
+        [date(2024, 2, 29), { value: 1, unit: 'year' }, date(2025, 2, 28)],
+        [date(2024, 11, 15), { value: 18, unit: 'month' }, date(2026, 5, 15)],
+        [date(2024, 12, 20), { value: 2, unit: 'month' }, date(2025, 2, 20)],
+        [date(2024, 12, 25), { value: 10, unit: 'day' }, date(2025, 1, 4)],
+        [date(2024, 2, 27), { value: 1, unit: 'week' }, date(2024, 3, 5)]
+    ])('%p plus %p is %p', (start, shelfLife, expected) => {
+        expect(addShelfLife(start, shelfLife)).toEqual(expected);
+    });
+});
+
+describe('shelf life in validateAnalysis', () => {
+    const codes = warnings => warnings.map(({ field, code }) => `${field}:${code}`);
+
+    test('derives a missing expiration date', () => {
+        const { data, warnings } = validateAnalysis({ production_date: '2024.01.31', shelf_life: '1个月' });
+        expect(data).toMatchObject({ expiration_date: '2024.02.29', derived_fields: ['expiration_date'] });
+        expect(data.shelf_life).toEqual({ value: 1, unit: 'month', text: '1个月' });
+        expect(codes(warnings)).toEqual(['expiration_date:derived']);
+    });
+
+    test('checks a printed expiration date against the shelf life', () => {
+        const close = validateAnalysis({ production_date: '2024.01.01', expiration_date: '2024.06.30', shelf_life: '半年' });
+        expect(close.warnings).toEqual([]);
+        expect(close.data.derived_fields).toEqual([]);
+
+        const far = validateAnalysis({ production_date: '2024.01.01', expiration_date: '2024.06.20', shelf_life: '半年' });
+        expect(codes(far.warnings)).toEqual(['expiration_date:shelf_life_mismatch']);
+    });
+
+    test('warns about a shelf life it cannot read', () => {
+        const { data, warnings } = validateAnalysis({ production_date: '2024.01.01', shelf_life: 'long' });
+        expect(data).toMatchObject({ shelf_life: null, expiration_date: null });
+        expect(codes(warnings)).toEqual(['shelf_life:unrecognized_shelf_life']);
+    });
+});
@@ -0,0 +1,79 @@
+import { validateAnalysis } from '../src/validation.js';
+
+const codes = warnings => warnings.map(({ field, code }) => `${field}:${code}`);
+
+describe('validateAnalysis', () => {
+    test('keeps a clean result without warnings', () => {
+        const { data, warnings } = validateAnalysis({
+            production_date: '2024.08.20',
+            expiration_date: '2025.08.19',
+            production_id: 'L2408',
+            net_content: 500
+        });
+        expect(warnings).toEqual([]);
+        expect(data).toMatchObject({
+            production_date: '2024.08.20',
+            expiration_date: '2025.08.19',
+            production_id: 'L2408',
+            net_content: '500',
+            manufacturer: null,
+            shelf_life: null,
+            barcode: null,
+            derived_fields: [],
+            evidence: {}
+        });
+    });
+
+    test('normalizes dates and says so', () => {
+        const { data, warnings } = validateAnalysis({ production_date: '2024/08/20', expiration_date: '2025年8月19日' });
+        expect(data).toMatchObject({ production_date: '2024.08.20', expiration_date: '2025.08.19' });
+        expect(warnings).toEqual([
+            { field: 'production_date', code: 'normalized', message: 'Date was reformatted to YYYY.MM.DD', value: '2024/08/20' },
+            { field: 'expiration_date', code: 'normalized', message: 'Date was reformatted to YYYY.MM.DD', value: '2025年8月19日' }
+        ]);
+    });
+
+    test.each([
+        ['2024.02.30', 'impossible_date'],
+        ['1899.12.31', 'implausible_year'],
+        ['2101.01.01', 'implausible_year'],
+        ['sometime soon', 'unrecognized_format'],
+        [20240820, 'invalid_type']
+    ])('sets %p to null with %s', (value, code) => {
+        const { data, warnings } = validateAnalysis({ production_date: value });
+        expect(data.production_date).toBeNull();
+        expect(warnings).toEqual([expect.objectContaining({ field: 'production_date', code, value })]);
+    });
+
+    test('warns about dates in the wrong order', () => {
+        const before = validateAnalysis({ production_date: '2025.01.01', expiration_date: '2024.01.01' });
+        expect(codes(before.warnings)).toEqual(['expiration_date:expiration_before_production']);
+        expect(before.data).toMatchObject({ production_date: '2025.01.01', expiration_date: '2024.01.01' });
+
+        const same = validateAnalysis({ production_date: '2024.08.20', expiration_date: '2024.08.20' });
+        expect(codes(same.warnings)).toEqual(['expiration_date:same_day']);
+    });
+
+    test('does not compare dates it rejected', () => {
+        const { warnings } = validateAnalysis({ production_date: '2025.02.30', expiration_date: '2024.01.01' });
+        expect(codes(warnings)).toEqual(['production_date:impossible_date']);
+    });
+
+    test('drops unknown fields and treats empty values as missing', () => {
+        const { data, warnings } = validateAnalysis({ production_date: '', expiration_date: null, brand: 'Acme' });
+        expect(data).not.toHaveProperty('brand');
+        expect(data).toMatchObject({ production_date: null, expiration_date: null });
+        expect(warnings).toEqual([
+            { field: 'brand', code: 'unknown_field', message: 'Field is not part of the analysis and was dropped', value: 'Acme' }
+        ]);
+    });
+
+    test('unwraps a single-element array and rejects anything that is not an object', () => {
+        expect(validateAnalysis([{ production_date: '2024.08.20' }]).data.production_date).toBe('2024.08.20');
+        for (const result of [null, 'text', [{}, {}]]) {
+            const { data, warnings } = validateAnalysis(result);
+            expect(codes(warnings)).toEqual(['null:invalid_result']);
+            expect(data.production_date).toBeNull();
+        }
+    });
+});